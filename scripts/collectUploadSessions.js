@@ -0,0 +1,42 @@
+// Upload Session Cleanup Script
+// Removes resumable upload sessions that have expired, along with the chunks
+// they stored.
+//
+// Usage: node scripts/collectUploadSessions.js [--now=2025-01-01]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { collectExpiredSessions } = require('../src/services/uploadSessions');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for upload session cleanup');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Run the cleanup if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+
+      const nowArg = process.argv.slice(2).find(arg => arg.startsWith('--now='));
+      const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+
+      const result = await collectExpiredSessions({ now });
+
+      console.log(`Removed ${result.removed} expired upload session(s), freeing ${result.bytes} bytes`);
+
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error during upload session cleanup:', error);
+      process.exit(1);
+    }
+  })();
+}
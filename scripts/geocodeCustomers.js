@@ -0,0 +1,123 @@
+// Customer Geocoding Backfill Script
+// Fills in coordinates for customers whose address has none, using the
+// configured geocoding provider, and reports the addresses it could not resolve.
+//
+// Usage: node scripts/geocodeCustomers.js [--dry-run] [--report=path/to/report.json]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Customer = require('../src/models/Customer');
+const { geocodeAddress, getGeocoder } = require('../src/services/geocoder');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for geocoding');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, reportPath: null };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--report=')) {
+      args.reportPath = arg.slice('--report='.length);
+    }
+  });
+
+  if (!args.reportPath) {
+    args.reportPath = path.join(process.cwd(), `geocoding-report-${Date.now()}.json`);
+  }
+
+  return args;
+};
+
+// Main backfill function
+const geocodeCustomers = async ({ dryRun, reportPath }) => {
+  const report = {
+    startedAt: new Date().toISOString(),
+    dryRun,
+    provider: getGeocoder().name,
+    scanned: 0,
+    geocoded: 0,
+    unresolved: []
+  };
+
+  const cursor = Customer.find({
+    $or: [
+      { 'contactInfo.address.coordinates': { $exists: false } },
+      { 'contactInfo.address.coordinates': null }
+    ]
+  }).select('companyName contactInfo.address').cursor();
+
+  for await (const customer of cursor) {
+    report.scanned += 1;
+
+    const address = customer.contactInfo.address;
+    const result = await geocodeAddress(address);
+
+    if (!result) {
+      report.unresolved.push({
+        customerId: customer._id.toString(),
+        companyName: customer.companyName,
+        address: {
+          street: address.street,
+          city: address.city,
+          state: address.state,
+          zipCode: address.zipCode,
+          country: address.country
+        }
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      await Customer.updateOne(
+        { _id: customer._id },
+        {
+          $set: {
+            'contactInfo.address.coordinates': result.coordinates,
+            'contactInfo.address.geocode': result.geocode
+          }
+        }
+      );
+    }
+    report.geocoded += 1;
+  }
+
+  report.finishedAt = new Date().toISOString();
+
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`Scanned ${report.scanned} customers without coordinates`);
+  console.log(`${dryRun ? 'Would geocode' : 'Geocoded'} ${report.geocoded} customers with provider ${report.provider}`);
+  console.log(`${report.unresolved.length} addresses could not be resolved`);
+  console.log(`Report written to ${reportPath}`);
+
+  return report;
+};
+
+// Run the backfill if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+      await geocodeCustomers(parseArgs(process.argv.slice(2)));
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error during geocoding backfill:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { geocodeCustomers };
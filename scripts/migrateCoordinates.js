@@ -0,0 +1,127 @@
+// Coordinates Migration Script
+// Converts customer address and robot location coordinates stored as
+// { latitude, longitude } into GeoJSON points so the 2dsphere indexes and
+// $near queries work, then builds those indexes.
+//
+// Usage: node scripts/migrateCoordinates.js [--dry-run] [--report=path/to/report.json]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Customer = require('../src/models/Customer');
+const Robot = require('../src/models/Robot');
+const { toGeoPoint } = require('../src/utils/geo');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for migration');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, reportPath: null };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--report=')) {
+      args.reportPath = arg.slice('--report='.length);
+    }
+  });
+
+  if (!args.reportPath) {
+    args.reportPath = path.join(process.cwd(), `coordinates-migration-report-${Date.now()}.json`);
+  }
+
+  return args;
+};
+
+const getPath = (doc, dottedPath) => dottedPath.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+// Convert one collection's coordinates field. Values that cannot be read as a
+// position are removed, since they would block the 2dsphere index; the
+// originals are kept in the report.
+const migrateCollection = async (Model, field, dryRun) => {
+  const collection = Model.collection;
+  const result = { collection: collection.collectionName, scanned: 0, migrated: 0, cleared: [] };
+
+  // Anything under the field that is not already a GeoJSON point
+  const cursor = collection.find({
+    [field]: { $exists: true, $ne: null },
+    [`${field}.type`]: { $ne: 'Point' }
+  });
+
+  for await (const doc of cursor) {
+    result.scanned += 1;
+
+    const original = getPath(doc, field);
+    const point = toGeoPoint(original);
+
+    if (point) {
+      if (!dryRun) {
+        await collection.updateOne({ _id: doc._id }, { $set: { [field]: point } });
+      }
+      result.migrated += 1;
+    } else {
+      if (!dryRun) {
+        await collection.updateOne({ _id: doc._id }, { $unset: { [field]: '' } });
+      }
+      result.cleared.push({ id: doc._id.toString(), value: original });
+    }
+  }
+
+  return result;
+};
+
+// Main migration function
+const migrateCoordinates = async ({ dryRun, reportPath }) => {
+  const report = {
+    startedAt: new Date().toISOString(),
+    dryRun,
+    collections: []
+  };
+
+  report.collections.push(await migrateCollection(Customer, 'contactInfo.address.coordinates', dryRun));
+  report.collections.push(await migrateCollection(Robot, 'location.coordinates', dryRun));
+
+  // The 2dsphere indexes cannot be built while legacy values remain
+  if (!dryRun) {
+    await Customer.createIndexes();
+    await Robot.createIndexes();
+  }
+
+  report.finishedAt = new Date().toISOString();
+
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  report.collections.forEach(({ collection, scanned, migrated, cleared }) => {
+    console.log(`${collection}: scanned ${scanned}, ${dryRun ? 'would migrate' : 'migrated'} ${migrated}, ${dryRun ? 'would clear' : 'cleared'} ${cleared.length} unusable`);
+  });
+  console.log(`Report written to ${reportPath}`);
+
+  return report;
+};
+
+// Run the migration if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+      await migrateCoordinates(parseArgs(process.argv.slice(2)));
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error during coordinates migration:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateCoordinates };
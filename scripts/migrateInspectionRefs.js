@@ -0,0 +1,171 @@
+// Inspection Reference Migration Script
+// Backfills robot, customer and technician ObjectIds on inspections that were
+// stored with free-text serial numbers, company names and technician names.
+//
+// Usage: node scripts/migrateInspectionRefs.js [--dry-run] [--report=path/to/report.json]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Robot = require('../src/models/Robot');
+const Customer = require('../src/models/Customer');
+const User = require('../src/models/User');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for migration');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, reportPath: null };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--report=')) {
+      args.reportPath = arg.slice('--report='.length);
+    }
+  });
+
+  if (!args.reportPath) {
+    args.reportPath = path.join(process.cwd(), `inspection-migration-report-${Date.now()}.json`);
+  }
+
+  return args;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find exactly one document whose field matches the value case-insensitively
+const findUnique = async (Model, field, value) => {
+  if (!value || typeof value !== 'string') {
+    return { error: 'missing value' };
+  }
+
+  const matches = await Model.find({
+    [field]: { $regex: `^${escapeRegex(value.trim())}$`, $options: 'i' }
+  }).select('_id customerId').limit(2);
+
+  if (matches.length === 0) {
+    return { error: `no ${Model.modelName} matches '${value}'` };
+  }
+  if (matches.length > 1) {
+    return { error: `more than one ${Model.modelName} matches '${value}'` };
+  }
+
+  return { doc: matches[0] };
+};
+
+// Resolve the legacy string fields of a raw inspection document
+const resolveReferences = async (inspection) => {
+  const errors = [];
+  const update = {};
+
+  if (inspection.robot instanceof mongoose.Types.ObjectId) {
+    update.robot = inspection.robot;
+  } else {
+    const { doc, error } = await findUnique(Robot, 'serialNumber', inspection.robotSerial);
+    if (error) errors.push({ field: 'robotSerial', value: inspection.robotSerial, reason: error });
+    else update.robot = doc._id;
+  }
+
+  if (inspection.customer instanceof mongoose.Types.ObjectId) {
+    update.customer = inspection.customer;
+  } else {
+    const { doc, error } = await findUnique(Customer, 'companyName', inspection.customer);
+    if (error) errors.push({ field: 'customer', value: inspection.customer, reason: error });
+    else update.customer = doc._id;
+  }
+
+  if (inspection.technician instanceof mongoose.Types.ObjectId) {
+    update.technician = inspection.technician;
+  } else {
+    const { doc, error } = await findUnique(User, 'name', inspection.technician);
+    if (error) errors.push({ field: 'technician', value: inspection.technician, reason: error });
+    else update.technician = doc._id;
+  }
+
+  if (typeof inspection.robotSerial === 'string') {
+    update.robotSerial = inspection.robotSerial.trim().toUpperCase();
+  }
+
+  return { update, errors };
+};
+
+// Main migration function
+const migrateInspectionRefs = async ({ dryRun, reportPath }) => {
+  const collection = mongoose.connection.collection('inspections');
+
+  // Only inspections that still carry legacy string references
+  const cursor = collection.find({
+    $or: [
+      { robot: { $exists: false } },
+      { customer: { $type: 'string' } },
+      { technician: { $type: 'string' } }
+    ]
+  });
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    dryRun,
+    scanned: 0,
+    migrated: 0,
+    unmatched: []
+  };
+
+  for await (const inspection of cursor) {
+    report.scanned += 1;
+
+    const { update, errors } = await resolveReferences(inspection);
+
+    // Leave unmatched records untouched so nothing is lost
+    if (errors.length > 0) {
+      report.unmatched.push({
+        inspectionId: inspection._id.toString(),
+        date: inspection.date,
+        errors
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      await collection.updateOne({ _id: inspection._id }, { $set: update });
+    }
+    report.migrated += 1;
+  }
+
+  report.finishedAt = new Date().toISOString();
+
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`Scanned ${report.scanned} inspections`);
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${report.migrated} inspections`);
+  console.log(`${report.unmatched.length} inspections could not be matched`);
+  console.log(`Report written to ${reportPath}`);
+
+  return report;
+};
+
+// Run the migration if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+      await migrateInspectionRefs(parseArgs(process.argv.slice(2)));
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error during inspection migration:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateInspectionRefs };
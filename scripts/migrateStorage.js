@@ -0,0 +1,240 @@
+// Storage Migration Script
+// Moves the bytes of existing files, and their image variants, from one
+// storage backend to another (for example local disk to S3) and updates each
+// File document to point at the new location. Files are copied before their
+// record is updated and the source is only removed afterwards, so an
+// interrupted run can be repeated.
+//
+// Usage: node scripts/migrateStorage.js --from=local --to=s3 [--dry-run]
+//          [--keep-source] [--base-url=https://api.example.com] [--report=path/to/report.json]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const { BACKENDS, getStorage } = require('../src/services/storage');
+const { fileDownloadPath } = require('../src/services/fileAccess');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for migration');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+const parseArgs = (argv) => {
+  const args = { from: null, to: null, dryRun: false, keepSource: false, baseUrl: '', reportPath: null };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--keep-source') {
+      args.keepSource = true;
+    } else if (arg.startsWith('--from=')) {
+      args.from = arg.slice('--from='.length);
+    } else if (arg.startsWith('--to=')) {
+      args.to = arg.slice('--to='.length);
+    } else if (arg.startsWith('--base-url=')) {
+      args.baseUrl = arg.slice('--base-url='.length).replace(/\/$/, '');
+    } else if (arg.startsWith('--report=')) {
+      args.reportPath = arg.slice('--report='.length);
+    }
+  });
+
+  if (!BACKENDS.includes(args.from) || !BACKENDS.includes(args.to) || args.from === args.to) {
+    throw new Error(`--from and --to must be two different backends out of: ${BACKENDS.join(', ')}`);
+  }
+
+  if (!args.reportPath) {
+    args.reportPath = path.join(process.cwd(), `storage-migration-report-${Date.now()}.json`);
+  }
+
+  return args;
+};
+
+const VARIANT_NAMES = ['thumbnail', 'web'];
+
+// A URL only changes when it pointed straight at the old backend; download
+// route URLs work wherever the bytes live
+const migratedUrl = (url, source, target, { from, to, isPublic }, fallback) => {
+  const directUrl = source.publicUrl(from);
+  if (!directUrl || url !== directUrl) return url;
+
+  return (isPublic && target.publicUrl(to)) || fallback;
+};
+
+// Copy one stored object to the target backend under the same key. Resolves
+// to its new location, or null when the source object is missing.
+const copyObject = async (storageLocation, source, target, { contentType, dryRun }) => {
+  const stream = await source.get(storageLocation);
+  if (!stream) return null;
+
+  if (dryRun) {
+    stream.destroy();
+    return storageLocation;
+  }
+
+  const copied = await target.put(source.toKey(storageLocation), stream, { contentType });
+  return copied.storageLocation;
+};
+
+const migrateFile = async (file, source, target, { dryRun, keepSource, baseUrl }) => {
+  const storageLocation = await copyObject(file.storageLocation, source, target, {
+    contentType: file.mimeType,
+    dryRun
+  });
+  if (!storageLocation) {
+    return { status: 'missing' };
+  }
+
+  // Image variants move with the original; one that has gone missing is
+  // dropped rather than left pointing at the old backend
+  const variants = file.variants || {};
+  const moved = {};
+  for (const name of VARIANT_NAMES) {
+    if (variants[name]) {
+      moved[name] = await copyObject(variants[name].storageLocation, source, target, {
+        contentType: variants[name].mimeType,
+        dryRun
+      });
+    }
+  }
+
+  if (dryRun) {
+    return { status: 'migrated' };
+  }
+
+  const copies = [storageLocation, ...Object.values(moved).filter(Boolean)];
+  const downloadUrl = `${baseUrl}${fileDownloadPath(file._id)}`;
+  const publicObject = variants.web && moved.web
+    ? { from: variants.web.storageLocation, to: moved.web }
+    : { from: file.storageLocation, to: storageLocation };
+
+  const update = {
+    $set: {
+      storageBackend: target.name,
+      storageLocation,
+      url: migratedUrl(file.url, source, target, { ...publicObject, isPublic: file.isPublic }, downloadUrl)
+    },
+    $unset: {}
+  };
+
+  Object.entries(moved).forEach(([name, location]) => {
+    if (location) {
+      update.$set[`variants.${name}.storageLocation`] = location;
+    } else {
+      update.$unset[`variants.${name}`] = '';
+    }
+  });
+
+  if ('thumbnail' in moved && !moved.thumbnail) {
+    update.$unset.thumbnailUrl = '';
+  } else if (moved.thumbnail && file.thumbnailUrl) {
+    update.$set.thumbnailUrl = migratedUrl(file.thumbnailUrl, source, target, {
+      from: variants.thumbnail.storageLocation,
+      to: moved.thumbnail,
+      isPublic: file.isPublic
+    }, `${downloadUrl}?variant=thumbnail`);
+  }
+
+  if (Object.keys(update.$unset).length === 0) {
+    delete update.$unset;
+  }
+
+  // Only move the record if it still points at the copy we read
+  const updated = await File.updateOne(
+    { _id: file._id, storageBackend: file.storageBackend, storageLocation: file.storageLocation },
+    update
+  );
+
+  if (updated.modifiedCount === 0) {
+    await Promise.all(copies.map(location => target.delete(location)));
+    return { status: 'changed' };
+  }
+
+  if (!keepSource) {
+    await source.delete(file.storageLocation);
+    await Promise.all(VARIANT_NAMES
+      .filter(name => variants[name])
+      .map(name => source.delete(variants[name].storageLocation)));
+  }
+
+  return { status: 'migrated' };
+};
+
+// Main migration function
+const migrateStorage = async ({ from, to, dryRun, keepSource, baseUrl, reportPath }) => {
+  const source = getStorage(from);
+  const target = getStorage(to);
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    from,
+    to,
+    dryRun,
+    keepSource,
+    scanned: 0,
+    migrated: 0,
+    missing: [],
+    changed: [],
+    failed: []
+  };
+
+  // Files recorded before storage became pluggable have no backend set
+  const filter = from === 'local'
+    ? { $or: [{ storageBackend: 'local' }, { storageBackend: { $exists: false } }] }
+    : { storageBackend: from };
+
+  const cursor = File.find(filter).lean().cursor();
+
+  for await (const doc of cursor) {
+    report.scanned += 1;
+    const file = { ...doc, storageBackend: doc.storageBackend || 'local' };
+
+    try {
+      const { status } = await migrateFile(file, source, target, { dryRun, keepSource, baseUrl });
+
+      if (status === 'migrated') {
+        report.migrated += 1;
+      } else {
+        report[status].push({ id: file._id.toString(), storageLocation: file.storageLocation });
+      }
+    } catch (error) {
+      report.failed.push({ id: file._id.toString(), storageLocation: file.storageLocation, error: error.message });
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`Scanned ${report.scanned} file(s) on ${from}`);
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${report.migrated} to ${to}`);
+  console.log(`Missing content: ${report.missing.length}, changed during migration: ${report.changed.length}, failed: ${report.failed.length}`);
+  console.log(`Report written to ${reportPath}`);
+
+  return report;
+};
+
+// Run the migration if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = parseArgs(process.argv.slice(2));
+      await connectDB();
+      const report = await migrateStorage(args);
+      await mongoose.connection.close();
+      process.exit(report.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error('Error during storage migration:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateStorage };
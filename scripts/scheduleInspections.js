@@ -0,0 +1,61 @@
+// Maintenance Scheduling Script
+// Creates scheduled inspections for robots whose next maintenance date falls
+// within the horizon. Safe to run repeatedly; existing open inspections are skipped.
+//
+// Usage: node scripts/scheduleInspections.js [--horizon=14] [--now=2025-01-01] [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { scheduleUpcomingInspections } = require('../src/services/maintenanceScheduler');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for scheduling');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+const parseArgs = (argv) => {
+  const options = {};
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--horizon=')) {
+      options.horizonDays = parseInt(arg.slice('--horizon='.length));
+    } else if (arg.startsWith('--now=')) {
+      options.now = new Date(arg.slice('--now='.length));
+    }
+  });
+
+  return options;
+};
+
+// Run the scheduler if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+
+      const result = await scheduleUpcomingInspections(parseArgs(process.argv.slice(2)));
+
+      console.log(`Scanned ${result.scanned} robots due before ${result.horizon.toISOString()}`);
+      result.created.forEach(entry => {
+        console.log(`${result.dryRun ? 'Would schedule' : 'Scheduled'} ${entry.serialNumber} on ${entry.date.toISOString()}`);
+      });
+      result.skipped.forEach(entry => {
+        console.log(`Skipped ${entry.serialNumber}: ${entry.reason}`);
+      });
+
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error during maintenance scheduling:', error);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,44 @@
+// Alert Sweep Script
+// Evaluates the alert rules against every robot in service and raises new alerts.
+//
+// Usage: node scripts/sweepAlerts.js [--now=2025-01-01]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runAlertSweep } = require('../src/services/alertEngine');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for alert sweep');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Run the sweep if this script is executed directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+
+      const nowArg = process.argv.slice(2).find(arg => arg.startsWith('--now='));
+      const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+
+      const result = await runAlertSweep({ now });
+
+      console.log(`Scanned ${result.scanned} robots`);
+      result.raised.forEach(alert => {
+        console.log(`Raised ${alert.severity} ${alert.type} on ${alert.serialNumber}: ${alert.message}`);
+      });
+
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error during alert sweep:', error);
+      process.exit(1);
+    }
+  })();
+}
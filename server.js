@@ -4,12 +4,15 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 // Import utilities and middleware
 const connectDB = require('./src/config/database');
 const logger = require('./src/utils/logger');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
+const { hasDeviceHeaders } = require('./src/middleware/auth');
+const { startScheduler } = require('./src/services/maintenanceScheduler');
+const { startAlertEngine } = require('./src/services/alertEngine');
+const { startUploadSessionGc } = require('./src/services/uploadSessions');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -18,8 +21,23 @@ const customerRoutes = require('./src/routes/customers');
 const robotRoutes = require('./src/routes/robots');
 const robotTypeRoutes = require('./src/routes/robotTypes');
 const inspectionRoutes = require('./src/routes/inspections');
+const alertRoutes = require('./src/routes/alerts');
+const partRoutes = require('./src/routes/parts');
+const inventoryRoutes = require('./src/routes/inventory');
+const workOrderRoutes = require('./src/routes/workOrders');
+const dispatchRoutes = require('./src/routes/dispatch');
+const fileRoutes = require('./src/routes/files');
+const uploadRoutes = require('./src/routes/uploads');
+const uploadSessionRoutes = require('./src/routes/uploadSessions');
 const seedRoutes = require('./src/routes/seed');
 
+// Device secrets are encrypted with a key of their own; without it no HMAC
+// credential could be issued or checked
+if (!process.env.DEVICE_SECRET_KEY) {
+  logger.error('DEVICE_SECRET_KEY must be set to encrypt device credential secrets');
+  process.exit(1);
+}
+
 // Create Express app
 const app = express();
 
@@ -50,12 +68,17 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Resumable upload chunks have their own per-user limit
+  skip: (req) => req.method === 'PUT' && /^\/api\/v1\/upload-sessions\/[^/]+\/chunks\/?$/.test(req.path)
 });
 
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Device requests are parsed by their routes (deviceJson), which keep the
+// raw body their HMAC signature covers
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (hasDeviceHeaders(req) ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -69,8 +92,8 @@ if (process.env.NODE_ENV === 'development') {
   }));
 }
 
-// Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files are only served through access-checked routes
+app.use('/uploads', uploadRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -89,6 +112,13 @@ app.use('/api/v1/customers', customerRoutes);
 app.use('/api/v1/robots', robotRoutes);
 app.use('/api/v1/robot-types', robotTypeRoutes);
 app.use('/api/v1/inspections', inspectionRoutes);
+app.use('/api/v1/alerts', alertRoutes);
+app.use('/api/v1/parts', partRoutes);
+app.use('/api/v1/inventory', inventoryRoutes);
+app.use('/api/v1/work-orders', workOrderRoutes);
+app.use('/api/v1/dispatch', dispatchRoutes);
+app.use('/api/v1/files', fileRoutes);
+app.use('/api/v1/upload-sessions', uploadSessionRoutes);
 app.use('/api/seed', seedRoutes);
 
 // Welcome route
@@ -103,6 +133,13 @@ app.get('/', (req, res) => {
       users: '/api/v1/users',
       customers: '/api/v1/customers',
       robots: '/api/v1/robots',
+      alerts: '/api/v1/alerts',
+      parts: '/api/v1/parts',
+      inventory: '/api/v1/inventory',
+      workOrders: '/api/v1/work-orders',
+      dispatch: '/api/v1/dispatch',
+      files: '/api/v1/files',
+      uploadSessions: '/api/v1/upload-sessions',
       health: '/health'
     }
   });
@@ -121,6 +158,19 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs (disabled by default; serverless deploys run them via scripts/)
+if (process.env.SCHEDULER_ENABLED === 'true') {
+  startScheduler();
+}
+
+if (process.env.ALERTS_ENABLED === 'true') {
+  startAlertEngine();
+}
+
+if (process.env.UPLOAD_GC_ENABLED === 'true') {
+  startUploadSessionGc();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   logger.error('Unhandled Promise Rejection:', err);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Robot = require('../models/Robot');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// @desc    Get alerts across the fleet
+// @route   GET /api/v1/alerts
+// @access  Private
+const getAlerts = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    severity,
+    type,
+    customer,
+    acknowledged,
+    startDate,
+    endDate
+  } = req.query;
+
+  // Robot-level filters narrow the scan before alerts are unwound
+  const robotMatch = { 'alerts.0': { $exists: true } };
+  if (customer) {
+    robotMatch.customerId = new mongoose.Types.ObjectId(customer);
+  }
+
+  const alertMatch = {};
+  if (severity) {
+    alertMatch['alerts.severity'] = severity;
+  }
+  if (type) {
+    alertMatch['alerts.type'] = type;
+  }
+  if (acknowledged !== undefined) {
+    alertMatch['alerts.acknowledged'] = acknowledged;
+  }
+  if (startDate || endDate) {
+    alertMatch['alerts.createdAt'] = {};
+    if (startDate) alertMatch['alerts.createdAt'].$gte = startDate;
+    if (endDate) alertMatch['alerts.createdAt'].$lte = endDate;
+  }
+
+  const [result] = await Robot.aggregate([
+    { $match: robotMatch },
+    { $unwind: '$alerts' },
+    { $match: alertMatch },
+    { $sort: { 'alerts.createdAt': -1 } },
+    {
+      $facet: {
+        alerts: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'customers',
+              localField: 'customerId',
+              foreignField: '_id',
+              as: 'customer'
+            }
+          },
+          {
+            $project: {
+              _id: '$alerts._id',
+              type: '$alerts.type',
+              message: '$alerts.message',
+              severity: '$alerts.severity',
+              createdAt: '$alerts.createdAt',
+              acknowledged: '$alerts.acknowledged',
+              acknowledgedBy: '$alerts.acknowledgedBy',
+              acknowledgedAt: '$alerts.acknowledgedAt',
+              robot: {
+                _id: '$_id',
+                serialNumber: '$serialNumber',
+                model: '$model',
+                status: '$status'
+              },
+              customer: {
+                _id: { $arrayElemAt: ['$customer._id', 0] },
+                companyName: { $arrayElemAt: ['$customer.companyName', 0] }
+              }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      alerts: result.alerts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Acknowledge several alerts at once
+// @route   POST /api/v1/alerts/acknowledge
+// @access  Private
+const acknowledgeAlerts = asyncHandler(async (req, res) => {
+  const alertIds = req.body.alertIds.map(id => new mongoose.Types.ObjectId(id));
+  const acknowledgedAt = new Date();
+
+  const matched = await Robot.countDocuments({ 'alerts._id': { $in: alertIds } });
+  if (matched === 0) {
+    throw new AppError('No matching alerts found', 404, 'ALERTS_NOT_FOUND');
+  }
+
+  // Already acknowledged alerts keep their original acknowledger
+  const result = await Robot.updateMany(
+    { 'alerts._id': { $in: alertIds } },
+    {
+      $set: {
+        'alerts.$[alert].acknowledged': true,
+        'alerts.$[alert].acknowledgedBy': req.user._id,
+        'alerts.$[alert].acknowledgedAt': acknowledgedAt
+      }
+    },
+    {
+      arrayFilters: [{ 'alert._id': { $in: alertIds }, 'alert.acknowledged': false }]
+    }
+  );
+
+  logger.info('Alerts acknowledged in bulk', {
+    requested: alertIds.length,
+    robots: result.modifiedCount,
+    acknowledgedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Alerts acknowledged successfully',
+    data: {
+      requested: alertIds.length,
+      robotsUpdated: result.modifiedCount,
+      acknowledgedBy: req.user._id,
+      acknowledgedAt
+    }
+  });
+});
+
+module.exports = {
+  getAlerts,
+  acknowledgeAlerts
+};
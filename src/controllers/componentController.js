@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Component = require('../models/Component');
+const Inspection = require('../models/Inspection');
+const Robot = require('../models/Robot');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { inTransaction } = require('../utils/transaction');
+const logger = require('../utils/logger');
+
+// Parts can only be fitted while an inspection is being carried out, and only
+// by its assigned technician or an admin
+const findActiveInspection = async (inspectionId, user, session) => {
+  const inspection = await Inspection.findById(inspectionId).session(session);
+
+  if (!inspection) {
+    throw new AppError('Inspection not found', 404, 'INSPECTION_NOT_FOUND');
+  }
+  if (user.role !== 'admin' && !inspection.technician.equals(user._id)) {
+    throw new AppError('Only the assigned technician can change components on this inspection', 403, 'FORBIDDEN');
+  }
+  if (inspection.status !== 'in_progress') {
+    throw new AppError('Components can only be changed while an inspection is in progress', 409, 'INSPECTION_NOT_IN_PROGRESS');
+  }
+
+  return inspection;
+};
+
+const buildComponent = (body, inspection, user) => ({
+  partSerial: body.partSerial,
+  type: body.type,
+  partNumber: body.partNumber,
+  manufacturer: body.manufacturer,
+  position: body.position,
+  warranty: body.warranty,
+  notes: body.notes,
+  robot: inspection.robot,
+  installedBy: user._id,
+  installedDuringInspection: inspection._id
+});
+
+// Refuse a part that is already fitted somewhere, or a slot that is already
+// filled; the unique indexes catch concurrent installs that slip past this
+const assertCanInstall = async ({ partSerial, robot, type, position }, session) => {
+  const serialInUse = await Component.exists({
+    partSerial,
+    status: 'installed'
+  }).session(session);
+  if (serialInUse) {
+    throw new AppError(`Part ${partSerial} is already installed`, 409, 'COMPONENT_ALREADY_INSTALLED');
+  }
+
+  if (!position) return;
+
+  const occupied = await Component.exists({ robot, type, position, status: 'installed' }).session(session);
+  if (occupied) {
+    throw new AppError(
+      `The ${type} slot at position ${position} is already occupied; replace the installed component instead`,
+      409,
+      'SLOT_OCCUPIED'
+    );
+  }
+};
+
+// @desc    Install a component on the inspected robot
+// @route   POST /api/v1/inspections/:id/components
+// @access  Private
+const installComponent = asyncHandler(async (req, res) => {
+  const { inspection, component } = await inTransaction(async (session) => {
+    const inspection = await findActiveInspection(req.params.id, req.user, session);
+    const fields = buildComponent(req.body, inspection, req.user);
+    await assertCanInstall(fields, session);
+
+    const [component] = await Component.create([fields], { session });
+
+    return { inspection, component };
+  });
+
+  logger.info('Component installed', {
+    partSerial: component.partSerial,
+    robot: inspection.robot,
+    inspection: inspection._id,
+    installedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Component installed successfully',
+    data: {
+      component
+    }
+  });
+});
+
+// @desc    Replace a component on the inspected robot
+// @route   POST /api/v1/inspections/:id/components/:componentId/replace
+// @access  Private
+const replaceComponent = asyncHandler(async (req, res) => {
+  const { removed, installed } = await inTransaction(async (session) => {
+    const inspection = await findActiveInspection(req.params.id, req.user, session);
+
+    const removed = await Component.findOne({
+      _id: req.params.componentId,
+      robot: inspection.robot
+    }).session(session);
+
+    if (!removed) {
+      throw new AppError('Component not found on this robot', 404, 'COMPONENT_NOT_FOUND');
+    }
+    if (removed.status !== 'installed') {
+      throw new AppError('Component has already been removed', 409, 'COMPONENT_NOT_INSTALLED');
+    }
+
+    const { replacement, reason } = req.body;
+    const installedId = new mongoose.Types.ObjectId();
+
+    // Free the slot before the replacement takes it over
+    removed.markRemoved({
+      inspectionId: inspection._id,
+      reason,
+      replacedBy: installedId
+    });
+    await removed.save();
+
+    const fields = {
+      ...buildComponent(replacement, inspection, req.user),
+      _id: installedId,
+      type: removed.type,
+      position: removed.position,
+      replaces: removed._id
+    };
+    await assertCanInstall(fields, session);
+
+    const [installed] = await Component.create([fields], { session });
+
+    return { removed, installed };
+  });
+
+  logger.info('Component replaced', {
+    removed: removed.partSerial,
+    installed: installed.partSerial,
+    robot: installed.robot,
+    replacedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Component replaced successfully',
+    data: {
+      removed,
+      installed
+    }
+  });
+});
+
+// @desc    Get bill of materials for a robot
+// @route   GET /api/v1/robots/:id/components
+// @access  Private
+const getRobotComponents = asyncHandler(async (req, res) => {
+  const robot = await Robot.findById(req.params.id).select('serialNumber model');
+
+  if (!robot) {
+    throw new AppError('Robot not found', 404, 'ROBOT_NOT_FOUND');
+  }
+
+  const components = await Component.getBillOfMaterials(robot._id, {
+    includeRemoved: req.query.includeRemoved === 'true'
+  });
+
+  // Group by component type for the BOM view
+  const billOfMaterials = components.reduce((groups, component) => {
+    groups[component.type] = groups[component.type] || [];
+    groups[component.type].push(component);
+    return groups;
+  }, {});
+
+  res.status(200).json({
+    success: true,
+    data: {
+      robot,
+      count: components.length,
+      billOfMaterials
+    }
+  });
+});
+
+module.exports = {
+  installComponent,
+  replaceComponent,
+  getRobotComponents
+};
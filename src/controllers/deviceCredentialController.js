@@ -0,0 +1,111 @@
+const Robot = require('../models/Robot');
+const DeviceCredential = require('../models/DeviceCredential');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Load a credential that belongs to the robot in the URL
+const findRobotCredential = async (robotId, credentialId) => {
+  const credential = await DeviceCredential.findOne({ _id: credentialId, robot: robotId });
+  if (!credential) {
+    throw new AppError('Device credential not found', 404, 'CREDENTIAL_NOT_FOUND');
+  }
+  return credential;
+};
+
+// @desc    Get device credentials for a robot
+// @route   GET /api/v1/robots/:id/credentials
+// @access  Private (Admin only)
+const getCredentials = asyncHandler(async (req, res) => {
+  const credentials = await DeviceCredential.find({ robot: req.params.id })
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      credentials
+    }
+  });
+});
+
+// @desc    Issue a device credential for a robot
+// @route   POST /api/v1/robots/:id/credentials
+// @access  Private (Admin only)
+const createCredential = asyncHandler(async (req, res) => {
+  const robot = await Robot.findById(req.params.id).select('serialNumber');
+
+  if (!robot) {
+    throw new AppError('Robot not found', 404, 'ROBOT_NOT_FOUND');
+  }
+
+  const { credential, secret } = await DeviceCredential.issue(robot._id, req.body, req.user._id);
+
+  logger.info('Device credential issued', {
+    robot: robot.serialNumber,
+    keyId: credential.keyId,
+    type: credential.type,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Device credential created. Store the secret now; it cannot be shown again.',
+    data: {
+      credential,
+      secret
+    }
+  });
+});
+
+// @desc    Rotate a device credential's secret
+// @route   POST /api/v1/robots/:id/credentials/:credentialId/rotate
+// @access  Private (Admin only)
+const rotateCredential = asyncHandler(async (req, res) => {
+  const credential = await findRobotCredential(req.params.id, req.params.credentialId);
+
+  if (credential.revokedAt) {
+    throw new AppError('Cannot rotate a revoked credential', 400, 'CREDENTIAL_REVOKED');
+  }
+
+  const secret = credential.setSecret();
+  credential.rotatedAt = new Date();
+  await credential.save();
+
+  logger.info('Device credential rotated', { keyId: credential.keyId, rotatedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Device credential rotated. Store the secret now; it cannot be shown again.',
+    data: {
+      credential,
+      secret
+    }
+  });
+});
+
+// @desc    Revoke a device credential
+// @route   DELETE /api/v1/robots/:id/credentials/:credentialId
+// @access  Private (Admin only)
+const revokeCredential = asyncHandler(async (req, res) => {
+  const credential = await findRobotCredential(req.params.id, req.params.credentialId);
+
+  if (!credential.revokedAt) {
+    credential.revokedAt = new Date();
+    credential.revokedBy = req.user._id;
+    await credential.save();
+  }
+
+  logger.info('Device credential revoked', { keyId: credential.keyId, revokedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Device credential revoked successfully'
+  });
+});
+
+module.exports = {
+  getCredentials,
+  createCredential,
+  rotateCredential,
+  revokeCredential
+};
@@ -0,0 +1,75 @@
+const {
+  getDispatchBoard: buildDispatchBoard,
+  setRouteOrder,
+  reassignInspection
+} = require('../services/dispatch');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// @desc    Get a technician's route for the day
+// @route   GET /api/v1/dispatch/:technicianId/:date
+// @access  Private (technicians see their own board)
+const getDispatchBoard = asyncHandler(async (req, res) => {
+  const { technicianId, date } = req.params;
+  const { optimize, startLat, startLng, timezone } = req.query;
+
+  if (req.user.role !== 'admin' && req.user._id.toString() !== technicianId) {
+    throw new AppError('You can only view your own dispatch board', 403, 'FORBIDDEN');
+  }
+
+  const start = startLat !== undefined ? { latitude: startLat, longitude: startLng } : undefined;
+  const board = await buildDispatchBoard(technicianId, date, { optimize, start, timeZone: timezone });
+
+  res.status(200).json({
+    success: true,
+    data: board
+  });
+});
+
+// @desc    Save the stop order for a technician's day
+// @route   PUT /api/v1/dispatch/:technicianId/:date
+// @access  Private (Admin only)
+const updateRouteOrder = asyncHandler(async (req, res) => {
+  const { technicianId, date } = req.params;
+
+  const { inspectionIds, timezone } = req.body;
+
+  await setRouteOrder(technicianId, date, inspectionIds, timezone);
+  const board = await buildDispatchBoard(technicianId, date, { timeZone: timezone });
+
+  logger.info('Dispatch route reordered', { technician: technicianId, date, updatedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Route order saved',
+    data: board
+  });
+});
+
+// @desc    Reassign a scheduled inspection to another technician
+// @route   POST /api/v1/dispatch/reassign
+// @access  Private (Admin only)
+const reassignJob = asyncHandler(async (req, res) => {
+  const { inspectionId, technicianId, date } = req.body;
+  const inspection = await reassignInspection(inspectionId, { technicianId, date });
+
+  logger.info('Inspection reassigned', {
+    inspection: inspection._id,
+    technician: technicianId,
+    reassignedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Inspection reassigned successfully',
+    data: {
+      inspection
+    }
+  });
+});
+
+module.exports = {
+  getDispatchBoard,
+  updateRouteOrder,
+  reassignJob
+};
@@ -0,0 +1,322 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { uploadDir } = require('../middleware/upload');
+const { storageFor } = require('../services/storage');
+const { deleteVariants } = require('../services/imageProcessing');
+const { resolveRelated, buildFileRecord, discardUpload } = require('../services/fileRecords');
+const { schemas } = require('../middleware/validation');
+const {
+  canAccessRelated,
+  canAccessFile,
+  signFileUrl,
+  verifyFileSignature
+} = require('../services/fileAccess');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const findFile = async (id) => {
+  const file = await File.findById(id);
+  if (!file) {
+    throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+  return file;
+};
+
+// Load a file the current user is allowed to read
+const findAccessibleFile = async (id, user) => {
+  const file = await findFile(id);
+  if (!await canAccessFile(user, file)) {
+    throw new AppError('You do not have access to this file', 403, 'FILE_ACCESS_DENIED');
+  }
+  return file;
+};
+
+// Callers with a valid signed URL, or signed in with access to the file, may
+// read the original. Public files can be fetched by anyone else, but only as
+// their public variant. Resolves to whether the original may be read.
+const authorizeDownload = async (req, file) => {
+  if (req.query.signature) {
+    if (!verifyFileSignature(file._id, req.query.expires, req.query.signature)) {
+      throw new AppError('Download link is invalid or has expired', 403, 'INVALID_FILE_SIGNATURE');
+    }
+    return true;
+  }
+
+  if (req.user && await canAccessFile(req.user, file)) return true;
+
+  if (file.isPublic) return false;
+
+  if (!req.user) {
+    throw new AppError('Authentication required to download this file', 401, 'AUTHENTICATION_REQUIRED');
+  }
+  throw new AppError('You do not have access to this file', 403, 'FILE_ACCESS_DENIED');
+};
+
+const sendFile = async (req, res, file, variantName) => {
+  const canReadOriginal = await authorizeDownload(req, file);
+
+  // Image originals can carry the GPS position of the site in their EXIF
+  // data, so the public only ever gets the web variant of an image
+  if (!variantName && !canReadOriginal && file.mimeType.startsWith('image/')) {
+    if (!file.variants || !file.variants.web) {
+      throw new AppError('This image is not available publicly', 403, 'FILE_ACCESS_DENIED');
+    }
+    variantName = 'web';
+  }
+
+  let content = file;
+  let filename = file.originalName;
+  if (variantName) {
+    content = file.variants && file.variants[variantName];
+    if (!content) {
+      throw new AppError(`File has no ${variantName} variant`, 404, 'VARIANT_NOT_FOUND');
+    }
+    filename = `${path.parse(file.originalName).name}_${variantName}.jpg`;
+  }
+
+  const stream = await storageFor(file).get(content.storageLocation);
+  if (!stream) {
+    throw new AppError('File content is missing', 410, 'FILE_CONTENT_MISSING');
+  }
+
+  // Thumbnails are fetched for listings, not downloaded
+  if (variantName !== 'thumbnail') {
+    await file.incrementDownload();
+  }
+
+  // Private content must not end up in shared caches
+  res.set('Cache-Control', file.isPublic ? 'public, max-age=3600' : 'private, no-store');
+  res.set('Content-Type', content.mimeType);
+  res.set('Content-Length', content.size);
+  res.attachment(filename);
+
+  stream.on('error', error => {
+    logger.error(`Error streaming file ${file._id}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// @desc    Upload files for an inspection, robot, customer or user
+// @route   POST /api/v1/files
+// @access  Private
+const uploadFiles = asyncHandler(async (req, res) => {
+  const uploaded = req.files || [];
+
+  try {
+    if (uploaded.length === 0) {
+      throw new AppError('No files uploaded', 400, 'NO_FILES');
+    }
+
+    // Multipart fields are only available after multer has run
+    const { error, value } = schemas.fileUpload.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      throw new AppError(error.details.map(detail => detail.message).join(', '), 400, 'VALIDATION_ERROR');
+    }
+
+    const relatedTo = await resolveRelated(req.user, value.relatedType, value.relatedId);
+
+    const files = [];
+    for (const upload of uploaded) {
+      files.push(await buildFileRecord(req, upload, {
+        relatedTo,
+        isPublic: value.isPublic,
+        tags: value.tags,
+        description: value.description
+      }));
+    }
+
+    const created = await File.insertMany(files);
+
+    logger.info('Files uploaded', {
+      count: created.length,
+      relatedTo: value.relatedType,
+      relatedId: value.relatedId,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} file(s) uploaded successfully`,
+      data: {
+        files: created
+      }
+    });
+  } catch (error) {
+    // Nothing references the bytes unless the File documents were recorded
+    await Promise.all(uploaded.map(discardUpload));
+    throw error;
+  }
+});
+
+// @desc    List files for a related entity
+// @route   GET /api/v1/files?relatedType=&relatedId=
+// @access  Private
+const getFiles = asyncHandler(async (req, res) => {
+  const { relatedType, relatedId, limit } = req.query;
+
+  let files = await File.getByType(relatedType, relatedId, { limit });
+
+  // Without access to the entity a user only sees the files they uploaded
+  const relatedTo = { type: relatedType, id: new mongoose.Types.ObjectId(relatedId) };
+  if (!await canAccessRelated(req.user, relatedTo)) {
+    files = files.filter(file => file.uploadedBy && file.uploadedBy._id.equals(req.user._id));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      files
+    }
+  });
+});
+
+// @desc    Get file statistics
+// @route   GET /api/v1/files/stats
+// @access  Private (Admin only)
+const getFileStats = asyncHandler(async (req, res) => {
+  const { relatedType, relatedId, uploadedBy } = req.query;
+
+  const filters = {};
+  if (relatedType) filters['relatedTo.type'] = relatedType;
+  if (relatedId) filters['relatedTo.id'] = new mongoose.Types.ObjectId(relatedId);
+  if (uploadedBy) filters.uploadedBy = new mongoose.Types.ObjectId(uploadedBy);
+
+  const [stats] = await File.getStatistics(filters);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      stats: stats || { totalFiles: 0, totalSize: 0, categories: [] }
+    }
+  });
+});
+
+// @desc    Get file details
+// @route   GET /api/v1/files/:id
+// @access  Private
+const getFile = asyncHandler(async (req, res) => {
+  const file = await findAccessibleFile(req.params.id, req.user);
+  await file.populate('uploadedBy', 'name email');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      file
+    }
+  });
+});
+
+// @desc    Download a file
+// @route   GET /api/v1/files/:id/download?variant=thumbnail|web
+// @access  Public files, signed URLs, or Private with access to the file
+const downloadFile = asyncHandler(async (req, res) => {
+  const file = await findFile(req.params.id);
+  await sendFile(req, res, file, req.query.variant);
+});
+
+// @desc    Download a file by its legacy /uploads path
+// @route   GET /uploads/*
+// @access  Public files, or Private with access to the file
+const downloadUpload = asyncHandler(async (req, res) => {
+  const storageLocation = path.join(uploadDir, path.normalize(decodeURIComponent(req.params[0])));
+
+  // Only files recorded in the File collection are served
+  const file = storageLocation.startsWith(path.join(uploadDir, path.sep))
+    ? await File.findOne({ storageBackend: 'local', storageLocation })
+    : null;
+  if (!file) {
+    throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+
+  await sendFile(req, res, file);
+});
+
+// @desc    Get an expiring signed download URL for a file
+// @route   GET /api/v1/files/:id/signed-url
+// @access  Private
+const getSignedUrl = asyncHandler(async (req, res) => {
+  const file = await findAccessibleFile(req.params.id, req.user);
+  const { url, expiresAt } = signFileUrl(file._id, { ttlSeconds: req.query.ttl });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      url: `${req.protocol}://${req.get('host')}${url}`,
+      expiresAt
+    }
+  });
+});
+
+// @desc    Add tags to a file
+// @route   POST /api/v1/files/:id/tags
+// @access  Private
+const addFileTags = asyncHandler(async (req, res) => {
+  const file = await findAccessibleFile(req.params.id, req.user);
+
+  for (const tag of req.body.tags) {
+    await file.addTag(tag);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Tags added successfully',
+    data: {
+      tags: file.tags
+    }
+  });
+});
+
+// @desc    Remove a tag from a file
+// @route   DELETE /api/v1/files/:id/tags/:tag
+// @access  Private
+const removeFileTag = asyncHandler(async (req, res) => {
+  const file = await findAccessibleFile(req.params.id, req.user);
+
+  await file.removeTag(req.params.tag);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tag removed successfully',
+    data: {
+      tags: file.tags
+    }
+  });
+});
+
+// @desc    Delete a file and its stored bytes
+// @route   DELETE /api/v1/files/:id
+// @access  Private (uploader or Admin)
+const deleteFileRecord = asyncHandler(async (req, res) => {
+  const file = await findFile(req.params.id);
+
+  if (req.user.role !== 'admin' && !file.uploadedBy.equals(req.user._id)) {
+    throw new AppError('Only the uploader or an admin can delete this file', 403, 'FORBIDDEN');
+  }
+
+  // Bytes first: a missing file is ignored, so a retry after a failure is safe
+  await storageFor(file).delete(file.storageLocation);
+  await deleteVariants(file);
+  await file.deleteOne();
+
+  logger.info('File deleted', { file: file._id, deletedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'File deleted successfully'
+  });
+});
+
+module.exports = {
+  uploadFiles,
+  getFiles,
+  getFileStats,
+  getFile,
+  downloadFile,
+  downloadUpload,
+  getSignedUrl,
+  addFileTags,
+  removeFileTag,
+  deleteFileRecord
+};
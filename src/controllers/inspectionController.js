@@ -1,6 +1,14 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Inspection = require('../models/Inspection');
 const Robot = require('../models/Robot');
-const Customer = require('../models/Customer');
+const InspectionTemplate = require('../models/InspectionTemplate');
+const User = require('../models/User');
+const File = require('../models/File');
+const { getActiveStorage, readFile } = require('../services/storage');
+const { fileDownloadUrl } = require('../services/fileAccess');
+const { renderInspectionReport } = require('../services/inspectionReport');
+const { transitionInspection, getAvailableTransitions } = require('../services/inspectionLifecycle');
 const logger = require('../utils/logger');
 
 // @desc    Get all inspections
@@ -11,6 +19,7 @@ exports.getInspections = async (req, res, next) => {
     const inspections = await Inspection.find()
       .populate('robot', 'serialNumber model')
       .populate('customer', 'companyName')
+      .populate('technician', 'name email')
       .sort({ date: -1 });
     
     res.status(200).json({
@@ -31,7 +40,8 @@ exports.getInspection = async (req, res, next) => {
   try {
     const inspection = await Inspection.findById(req.params.id)
       .populate('robot', 'serialNumber model')
-      .populate('customer', 'companyName');
+      .populate('customer', 'companyName')
+      .populate('technician', 'name email');
     
     if (!inspection) {
       return res.status(404).json({
@@ -50,17 +60,124 @@ exports.getInspection = async (req, res, next) => {
   }
 };
 
+// @desc    Get the template version an inspection was created from
+// @route   GET /api/v1/inspections/:id/template
+// @access  Private
+exports.getInspectionTemplate = async (req, res, next) => {
+  try {
+    const inspection = await Inspection.findById(req.params.id).select('template robotSerial');
+
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection not found'
+      });
+    }
+
+    const template = inspection.template && inspection.template.id
+      ? await InspectionTemplate.findById(inspection.template.id).populate('robotType', 'name model')
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inspectionId: inspection._id,
+        version: template ? template.version : null,
+        template
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching inspection template:', error);
+    next(error);
+  }
+};
+
+// @desc    Get customer-ready PDF report for an inspection
+// @route   GET /api/v1/inspections/:id/report.pdf
+// @access  Private
+exports.getInspectionReport = async (req, res, next) => {
+  try {
+    const inspection = await Inspection.findById(req.params.id)
+      .populate('robot')
+      .populate('customer')
+      .populate('technician', 'name email');
+
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection not found'
+      });
+    }
+
+    // Reuse the last report rendered for this user unless the inspection
+    // changed since. Reports are per user because they only embed the photos
+    // the user who rendered them may see.
+    let report = req.query.regenerate === 'true' ? null : await File.findOne({
+      'relatedTo.type': 'inspection',
+      'relatedTo.id': inspection._id,
+      uploadedBy: req.user._id,
+      tags: 'inspection-report',
+      createdAt: { $gte: inspection.updatedAt }
+    }).sort({ createdAt: -1 });
+
+    let buffer = report ? await readFile(report) : null;
+    if (buffer) {
+      await report.incrementDownload();
+    } else {
+      buffer = await renderInspectionReport(inspection, { user: req.user });
+
+      const storage = getActiveStorage();
+      const filename = `inspection_${inspection._id}_${Date.now()}.pdf`;
+      const { storageLocation } = await storage.put(`documents/reports/${filename}`, buffer, {
+        contentType: 'application/pdf'
+      });
+
+      const reportId = new mongoose.Types.ObjectId();
+      report = await File.create({
+        _id: reportId,
+        filename,
+        originalName: `inspection-report-${inspection.robotSerial}.pdf`,
+        mimeType: 'application/pdf',
+        size: buffer.length,
+        uploadedBy: req.user._id,
+        relatedTo: {
+          type: 'inspection',
+          id: inspection._id
+        },
+        metadata: {
+          checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+        },
+        storageBackend: storage.name,
+        storageLocation,
+        url: fileDownloadUrl(req, reportId),
+        tags: ['inspection-report'],
+        description: `Inspection report for robot ${inspection.robotSerial}`
+      });
+
+      logger.info(`Inspection report generated for ${inspection._id} by user ${req.user.id}`);
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': buffer.length,
+      'Content-Disposition': `inline; filename="${report.originalName}"`
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    logger.error('Error generating inspection report:', error);
+    next(error);
+  }
+};
+
 // @desc    Create new inspection
 // @route   POST /api/v1/inspections
 // @access  Private
 exports.createInspection = async (req, res, next) => {
   try {
     const {
-      robotSerial,
-      customer,
-      technician,
+      robot: robotId,
+      technician: technicianId,
       date,
-      status,
       progress,
       maintenanceItems,
       notes,
@@ -68,21 +185,52 @@ exports.createInspection = async (req, res, next) => {
     } = req.body;
 
     // Validate required fields
-    if (!robotSerial || !customer || !technician || !date) {
+    if (!robotId || !date) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide robotSerial, customer, technician, and date'
+        message: 'Please provide robot and date'
+      });
+    }
+
+    const robot = await Robot.findById(robotId);
+    if (!robot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Robot not found'
       });
     }
 
+    // Technicians create inspections for themselves unless one is assigned
+    const technician = await User.findById(technicianId || req.user._id);
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: 'Technician not found'
+      });
+    }
+
+    // Pre-fill the checklist from the robot type's current template
+    let template = null;
+    let items = maintenanceItems;
+    if (!items) {
+      const robotType = await robot.getRobotType();
+      if (robotType) {
+        template = await InspectionTemplate.getCurrent(robotType, req.user._id);
+        items = template.toMaintenanceItems();
+      }
+    }
+
     const inspection = await Inspection.create({
-      robotSerial,
-      customer,
-      technician,
+      robot: robot._id,
+      robotSerial: robot.serialNumber,
+      customer: robot.customerId,
+      technician: technician._id,
       date,
-      status: status || 'scheduled',
+      status: 'scheduled',
+      statusHistory: [{ to: 'scheduled', changedBy: req.user._id }],
       progress: progress || 0,
-      maintenanceItems: maintenanceItems || [],
+      template: template ? { id: template._id, version: template.version } : undefined,
+      maintenanceItems: items || [],
       notes: notes || '',
       images: images || []
     });
@@ -102,7 +250,7 @@ exports.createInspection = async (req, res, next) => {
 // @access  Private
 exports.updateInspection = async (req, res, next) => {
   try {
-    let inspection = await Inspection.findById(req.params.id);
+    const inspection = await Inspection.findById(req.params.id);
 
     if (!inspection) {
       return res.status(404).json({
@@ -111,14 +259,19 @@ exports.updateInspection = async (req, res, next) => {
       });
     }
 
-    inspection = await Inspection.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: new Date() },
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const { checklist, ...fields } = req.body;
+
+    inspection.set(fields);
+
+    if (checklist) {
+      inspection.applyChecklist(checklist);
+    }
+
+    if (fields.signature) {
+      inspection.signedAt = new Date();
+    }
+
+    await inspection.save();
 
     res.status(200).json({
       success: true,
@@ -130,6 +283,30 @@ exports.updateInspection = async (req, res, next) => {
   }
 };
 
+// @desc    Transition inspection status
+// @route   POST /api/v1/inspections/:id/transitions
+// @access  Private (reopening is Admin only)
+exports.transitionInspectionStatus = async (req, res, next) => {
+  try {
+    const { to, reason } = req.body;
+
+    const inspection = await transitionInspection(req.params.id, to, req.user, reason);
+
+    logger.info(`Inspection ${inspection._id} transitioned to ${to} by user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inspection,
+        availableTransitions: getAvailableTransitions(inspection.status, req.user)
+      }
+    });
+  } catch (error) {
+    logger.error('Error transitioning inspection:', error);
+    next(error);
+  }
+};
+
 // @desc    Delete inspection
 // @route   DELETE /api/v1/inspections/:id
 // @access  Private (Admin only)
@@ -161,8 +338,9 @@ exports.deleteInspection = async (req, res, next) => {
 // @access  Private
 exports.getInspectionsByRobot = async (req, res, next) => {
   try {
-    const inspections = await Inspection.find({ robotSerial: req.params.robotSerial })
+    const inspections = await Inspection.find({ robotSerial: req.params.robotSerial.toUpperCase() })
       .populate('customer', 'companyName')
+      .populate('technician', 'name email')
       .sort({ date: -1 });
     
     res.status(200).json({
@@ -177,11 +355,13 @@ exports.getInspectionsByRobot = async (req, res, next) => {
 };
 
 // @desc    Get inspections by customer
-// @route   GET /api/v1/inspections/customer/:customerName
+// @route   GET /api/v1/inspections/customer/:customerId
 // @access  Private
 exports.getInspectionsByCustomer = async (req, res, next) => {
   try {
-    const inspections = await Inspection.find({ customer: req.params.customerName })
+    const inspections = await Inspection.find({ customer: req.params.customerId })
+      .populate('robot', 'serialNumber model')
+      .populate('technician', 'name email')
       .sort({ date: -1 });
     
     res.status(200).json({
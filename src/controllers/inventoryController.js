@@ -0,0 +1,209 @@
+const StockLocation = require('../models/StockLocation');
+const StockMovement = require('../models/StockMovement');
+const {
+  receiveStock,
+  transferStock,
+  consumeParts,
+  getReorderSuggestions
+} = require('../services/inventory');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// @desc    Get stock locations
+// @route   GET /api/v1/inventory/locations
+// @access  Private
+const getLocations = asyncHandler(async (req, res) => {
+  const query = { isActive: true };
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const locations = await StockLocation.find(query)
+    .populate('technician', 'name email')
+    .select('-stock')
+    .sort({ type: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      locations
+    }
+  });
+});
+
+// @desc    Get stock location with stock on hand
+// @route   GET /api/v1/inventory/locations/:id
+// @access  Private
+const getLocation = asyncHandler(async (req, res) => {
+  const location = await StockLocation.findById(req.params.id)
+    .populate('technician', 'name email')
+    .populate('stock.part', 'partNumber name unit reorderPoint');
+
+  if (!location) {
+    throw new AppError('Stock location not found', 404, 'LOCATION_NOT_FOUND');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      location
+    }
+  });
+});
+
+// @desc    Create stock location
+// @route   POST /api/v1/inventory/locations
+// @access  Private (Admin only)
+const createLocation = asyncHandler(async (req, res) => {
+  const location = await StockLocation.create(req.body);
+
+  logger.info('Stock location created', { location: location._id, type: location.type, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock location created successfully',
+    data: {
+      location
+    }
+  });
+});
+
+// @desc    Receive stock into a location
+// @route   POST /api/v1/inventory/receipts
+// @access  Private (Admin only)
+const createReceipt = asyncHandler(async (req, res) => {
+  const movement = await receiveStock(req.body, req.user);
+
+  logger.info('Stock received', { movement: movement._id, part: movement.part, quantity: movement.quantity });
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock received successfully',
+    data: {
+      movement
+    }
+  });
+});
+
+// @desc    Transfer stock between locations
+// @route   POST /api/v1/inventory/transfers
+// @access  Private
+const createTransfer = asyncHandler(async (req, res) => {
+  const movement = await transferStock(req.body, req.user);
+
+  logger.info('Stock transferred', {
+    movement: movement._id,
+    part: movement.part,
+    quantity: movement.quantity,
+    from: movement.fromLocation,
+    to: movement.toLocation
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock transferred successfully',
+    data: {
+      movement
+    }
+  });
+});
+
+// @desc    Get stock movement ledger
+// @route   GET /api/v1/inventory/movements
+// @access  Private
+const getMovements = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    part,
+    location,
+    type,
+    inspection,
+    startDate,
+    endDate
+  } = req.query;
+
+  const query = {};
+  if (part) query.part = part;
+  if (type) query.type = type;
+  if (inspection) query.inspection = inspection;
+  if (location) {
+    query.$or = [{ fromLocation: location }, { toLocation: location }];
+  }
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lte = endDate;
+  }
+
+  const movements = await StockMovement.find(query)
+    .populate('part', 'partNumber name')
+    .populate('fromLocation', 'name type')
+    .populate('toLocation', 'name type')
+    .populate('performedBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await StockMovement.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get low-stock reorder suggestions
+// @route   GET /api/v1/inventory/reorder-suggestions
+// @access  Private
+const getReorderSuggestionList = asyncHandler(async (req, res) => {
+  const suggestions = await getReorderSuggestions({ locationId: req.query.location });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      suggestions
+    }
+  });
+});
+
+// @desc    Record parts consumed on an inspection
+// @route   POST /api/v1/inspections/:id/parts
+// @access  Private
+const recordPartsUsed = asyncHandler(async (req, res) => {
+  const inspection = await consumeParts({ ...req.body, inspectionId: req.params.id }, req.user);
+
+  logger.info('Parts consumed on inspection', {
+    inspection: inspection._id,
+    part: req.body.partId,
+    quantity: req.body.quantity,
+    usedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Parts recorded successfully',
+    data: {
+      partsUsed: inspection.partsUsed
+    }
+  });
+});
+
+module.exports = {
+  getLocations,
+  getLocation,
+  createLocation,
+  createReceipt,
+  createTransfer,
+  getMovements,
+  getReorderSuggestionList,
+  recordPartsUsed
+};
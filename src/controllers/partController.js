@@ -0,0 +1,120 @@
+const PartsCatalog = require('../models/PartsCatalog');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// @desc    Get parts catalog
+// @route   GET /api/v1/parts
+// @access  Private
+const getParts = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = 'partNumber',
+    search,
+    componentType,
+    isActive
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (search) {
+    query.$or = [
+      { partNumber: { $regex: search, $options: 'i' } },
+      { name: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (componentType) {
+    query.componentType = componentType;
+  }
+
+  query.isActive = isActive !== undefined ? isActive : true;
+
+  const parts = await PartsCatalog.find(query)
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await PartsCatalog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      parts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single part
+// @route   GET /api/v1/parts/:id
+// @access  Private
+const getPart = asyncHandler(async (req, res) => {
+  const part = await PartsCatalog.findById(req.params.id);
+
+  if (!part) {
+    throw new AppError('Part not found', 404, 'PART_NOT_FOUND');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      part
+    }
+  });
+});
+
+// @desc    Create part
+// @route   POST /api/v1/parts
+// @access  Private (Admin only)
+const createPart = asyncHandler(async (req, res) => {
+  const part = await PartsCatalog.create(req.body);
+
+  logger.info('Part created', { partNumber: part.partNumber, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Part created successfully',
+    data: {
+      part
+    }
+  });
+});
+
+// @desc    Update part
+// @route   PUT /api/v1/parts/:id
+// @access  Private (Admin only)
+const updatePart = asyncHandler(async (req, res) => {
+  const part = await PartsCatalog.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!part) {
+    throw new AppError('Part not found', 404, 'PART_NOT_FOUND');
+  }
+
+  logger.info('Part updated', { partNumber: part.partNumber, updatedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Part updated successfully',
+    data: {
+      part
+    }
+  });
+});
+
+module.exports = {
+  getParts,
+  getPart,
+  createPart,
+  updatePart
+};
@@ -1,5 +1,12 @@
+const mongoose = require('mongoose');
 const Robot = require('../models/Robot');
 const Customer = require('../models/Customer');
+const Inspection = require('../models/Inspection');
+const { AppError } = require('../middleware/errorHandler');
+const { renderQRCode, renderLabelSheet } = require('../services/robotLabels');
+const { importRobots } = require('../services/robotImport');
+const { nearPipeline } = require('../utils/geo');
+const { inTransaction } = require('../utils/transaction');
 const logger = require('../utils/logger');
 
 // @desc    Get all robots
@@ -7,7 +14,7 @@ const logger = require('../utils/logger');
 // @access  Private
 exports.getRobots = async (req, res, next) => {
   try {
-    const robots = await Robot.find().populate('customer', 'companyName address');
+    const robots = await Robot.find().populate('customerId', 'companyName contactInfo.address');
     
     res.status(200).json({
       success: true,
@@ -20,12 +27,75 @@ exports.getRobots = async (req, res, next) => {
   }
 };
 
+// @desc    Get robots near a point
+// @route   GET /api/v1/robots/near?lat=&lng=&radius=&limit=
+// @access  Private
+exports.getRobotsNear = async (req, res, next) => {
+  try {
+    const { lat, lng, radius, limit, status, customer } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (customer) {
+      query.customerId = new mongoose.Types.ObjectId(customer);
+    }
+
+    const robots = await Robot.aggregate([
+      ...nearPipeline({
+        latitude: lat,
+        longitude: lng,
+        radiusKm: radius,
+        key: 'location.coordinates',
+        query,
+        limit
+      }),
+      {
+        $lookup: {
+          from: 'customers',
+          localField: 'customerId',
+          foreignField: '_id',
+          as: 'customer'
+        }
+      },
+      {
+        $project: {
+          serialNumber: 1,
+          model: 1,
+          manufacturer: 1,
+          status: 1,
+          location: 1,
+          nextMaintenanceDate: 1,
+          customer: {
+            _id: { $arrayElemAt: ['$customer._id', 0] },
+            companyName: { $arrayElemAt: ['$customer.companyName', 0] }
+          },
+          distanceKm: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: robots.length,
+      data: robots
+    });
+  } catch (error) {
+    logger.error('Error searching robots near point:', error);
+    next(error);
+  }
+};
+
 // @desc    Get single robot
 // @route   GET /api/v1/robots/:id
 // @access  Private
 exports.getRobot = async (req, res, next) => {
   try {
-    const robot = await Robot.findById(req.params.id).populate('customer', 'companyName address');
+    const robot = await Robot.findById(req.params.id)
+      .populate('customerId', 'companyName contactInfo.address')
+      .populate('ownershipHistory.customer', 'companyName')
+      .populate('ownershipHistory.transferredBy', 'name email');
     
     if (!robot) {
       return res.status(404).json({
@@ -50,7 +120,7 @@ exports.getRobot = async (req, res, next) => {
 exports.createRobot = async (req, res, next) => {
   try {
     // Verify customer exists
-    const customer = await Customer.findById(req.body.customer);
+    const customer = await Customer.findById(req.body.customerId);
     if (!customer) {
       return res.status(404).json({
         success: false,
@@ -64,7 +134,7 @@ exports.createRobot = async (req, res, next) => {
     customer.robots.push(robot._id);
     await customer.save();
     
-    await robot.populate('customer', 'companyName address');
+    await robot.populate('customerId', 'companyName contactInfo.address');
     
     logger.info(`Robot created: ${robot.serialNumber} for customer ${customer.companyName} by user ${req.user?.id || 'system'}`);
     
@@ -83,14 +153,22 @@ exports.createRobot = async (req, res, next) => {
 // @access  Private (Admin only)
 exports.updateRobot = async (req, res, next) => {
   try {
+    // Ownership is not editable here: validateRobotUpdate strips customerId and
+    // ownershipHistory, which only change through POST /:id/transfer so the
+    // customers' robot lists stay in sync
+    // A status set by hand is no longer one the work orders may revert
+    const updates = req.body.status ? { ...req.body, heldForWorkOrders: false } : req.body;
     const robot = await Robot.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
-    ).populate('customer', 'companyName address');
+    )
+      .populate('customerId', 'companyName contactInfo.address')
+      .populate('ownershipHistory.customer', 'companyName')
+      .populate('ownershipHistory.transferredBy', 'name email');
     
     if (!robot) {
       return res.status(404).json({
@@ -127,7 +205,7 @@ exports.deleteRobot = async (req, res, next) => {
     
     // Remove robot from customer's robots array
     await Customer.findByIdAndUpdate(
-      robot.customer,
+      robot.customerId,
       { $pull: { robots: robot._id } }
     );
     
@@ -150,8 +228,8 @@ exports.deleteRobot = async (req, res, next) => {
 // @access  Private
 exports.getRobotsByCustomer = async (req, res, next) => {
   try {
-    const robots = await Robot.find({ customer: req.params.customerId })
-      .populate('customer', 'companyName address');
+    const robots = await Robot.find({ customerId: req.params.customerId })
+      .populate('customerId', 'companyName contactInfo.address');
     
     res.status(200).json({
       success: true,
@@ -164,3 +242,322 @@ exports.getRobotsByCustomer = async (req, res, next) => {
   }
 };
 
+// @desc    Get robot alerts
+// @route   GET /api/v1/robots/:id/alerts
+// @access  Private
+exports.getRobotAlerts = async (req, res, next) => {
+  try {
+    const robot = await Robot.findById(req.params.id)
+      .select('serialNumber alerts')
+      .populate('alerts.acknowledgedBy', 'name email');
+    
+    if (!robot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Robot not found'
+      });
+    }
+    
+    let alerts = robot.alerts;
+    if (req.query.acknowledged !== undefined) {
+      const acknowledged = req.query.acknowledged === 'true';
+      alerts = alerts.filter(alert => alert.acknowledged === acknowledged);
+    }
+    
+    // Newest first
+    alerts = [...alerts].sort((a, b) => b.createdAt - a.createdAt);
+    
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (error) {
+    logger.error('Error fetching robot alerts:', error);
+    next(error);
+  }
+};
+
+// @desc    Raise alert on robot
+// @route   POST /api/v1/robots/:id/alerts
+// @access  Private
+exports.createRobotAlert = async (req, res, next) => {
+  try {
+    const robot = await Robot.findById(req.params.id);
+    
+    if (!robot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Robot not found'
+      });
+    }
+    
+    // A device may only raise alerts on the robot its credential was issued to
+    if (req.device && !robot._id.equals(req.device.robotId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device is not authorized for this robot'
+      });
+    }
+    
+    const { type, message, severity } = req.body;
+    await robot.addAlert(type, message, severity);
+    
+    const raisedBy = req.device ? `device ${req.device.keyId}` : `user ${req.user.id}`;
+    logger.info(`Alert ${type} raised on robot ${robot.serialNumber} by ${raisedBy}`);
+    
+    res.status(201).json({
+      success: true,
+      data: robot.alerts[robot.alerts.length - 1]
+    });
+  } catch (error) {
+    logger.error('Error creating robot alert:', error);
+    next(error);
+  }
+};
+
+// @desc    Acknowledge robot alert
+// @route   PUT /api/v1/robots/:id/alerts/:alertId/acknowledge
+// @access  Private
+exports.acknowledgeRobotAlert = async (req, res, next) => {
+  try {
+    const robot = await Robot.findById(req.params.id);
+    
+    if (!robot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Robot not found'
+      });
+    }
+    
+    if (!robot.alerts.id(req.params.alertId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+    
+    await robot.acknowledgeAlert(req.params.alertId, req.user._id);
+    
+    logger.info(`Alert ${req.params.alertId} on robot ${robot.serialNumber} acknowledged by user ${req.user.id}`);
+    
+    res.status(200).json({
+      success: true,
+      data: robot.alerts.id(req.params.alertId)
+    });
+  } catch (error) {
+    logger.error('Error acknowledging robot alert:', error);
+    next(error);
+  }
+};
+
+// @desc    Get robot QR code image
+// @route   GET /api/v1/robots/:id/qr.png
+// @route   GET /api/v1/robots/:id/qr.svg
+// @access  Private
+exports.getRobotQRCode = async (req, res, next) => {
+  try {
+    const robot = await Robot.findById(req.params.id);
+    
+    if (!robot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Robot not found'
+      });
+    }
+    
+    await robot.generateQRCode();
+    
+    const size = Math.min(Math.max(parseInt(req.query.size) || 300, 100), 1000);
+    const image = await renderQRCode(robot.qrCode, req.params.format, size);
+    
+    res.set({
+      'Content-Type': req.params.format === 'svg' ? 'image/svg+xml' : 'image/png',
+      'Content-Disposition': `inline; filename="${robot.serialNumber}-qr.${req.params.format}"`
+    });
+    res.status(200).send(image);
+  } catch (error) {
+    logger.error('Error generating robot QR code:', error);
+    next(error);
+  }
+};
+
+// @desc    Look up a robot by scanned QR code
+// @route   GET /api/v1/robots/by-qr/:code
+// @access  Private
+exports.getRobotByQRCode = async (req, res, next) => {
+  try {
+    const robot = await Robot.findOne({ qrCode: req.params.code })
+      .populate('customerId', 'companyName contactInfo');
+    
+    if (!robot) {
+      return res.status(404).json({
+        success: false,
+        message: 'No robot found for this QR code'
+      });
+    }
+    
+    const [openInspection, recentInspections] = await Promise.all([
+      Inspection.findOne({ robot: robot._id, status: { $in: ['scheduled', 'in_progress'] } })
+        .populate('technician', 'name email')
+        .sort({ date: 1 }),
+      Inspection.find({ robot: robot._id, status: { $in: ['completed', 'cancelled'] } })
+        .populate('technician', 'name email')
+        .sort({ date: -1 })
+        .limit(3)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        robot,
+        customer: robot.customerId,
+        openInspection,
+        recentInspections
+      }
+    });
+  } catch (error) {
+    logger.error('Error looking up robot by QR code:', error);
+    next(error);
+  }
+};
+
+// @desc    Get printable QR label sheet for a customer's robots
+// @route   GET /api/v1/robots/customer/:customerId/labels.pdf
+// @access  Private
+exports.getCustomerRobotLabels = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId);
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    const robots = await Robot.find({ customerId: customer._id, status: { $ne: 'retired' } })
+      .sort({ serialNumber: 1 });
+    
+    if (robots.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer has no robots to label'
+      });
+    }
+    
+    for (const robot of robots) {
+      await robot.generateQRCode();
+    }
+    
+    const pdf = await renderLabelSheet(customer, robots);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `inline; filename="robot-labels-${customer._id}.pdf"`
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    logger.error('Error generating robot label sheet:', error);
+    next(error);
+  }
+};
+
+// @desc    Import robots for a customer from a CSV or XLSX file
+// @route   POST /api/v1/robots/import?dryRun=true
+// @access  Private (Admin only)
+exports.importRobots = async (req, res, next) => {
+  try {
+    const { customerId } = req.body;
+    
+    if (!customerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide customerId'
+      });
+    }
+    
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const result = await importRobots(req.file, customerId, { dryRun });
+    
+    if (!dryRun) {
+      logger.info(`Robots imported: ${result.created.length} of ${result.totalRows} rows for customer ${customerId} by user ${req.user.id}`);
+    }
+    
+    res.status(dryRun || result.created.length === 0 ? 200 : 201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error importing robots:', error);
+    next(error);
+  }
+};
+
+// @desc    Transfer robot to another customer
+// @route   POST /api/v1/robots/:id/transfer
+// @access  Private (Admin only)
+exports.transferRobot = async (req, res, next) => {
+  try {
+    const { customerId, reason, effectiveDate } = req.body;
+    
+    const { robot, fromCustomer, toCustomer } = await inTransaction(async (session) => {
+      const robot = await Robot.findById(req.params.id).session(session);
+      if (!robot) {
+        throw new AppError('Robot not found', 404, 'ROBOT_NOT_FOUND');
+      }
+      
+      if (robot.customerId.equals(customerId)) {
+        throw new AppError('Robot already belongs to this customer', 400, 'SAME_CUSTOMER');
+      }
+      
+      const toCustomer = await Customer.findById(customerId).session(session);
+      if (!toCustomer) {
+        throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+      }
+      
+      // A backdated transfer can't start before the current owner's period did
+      const ownedSince = robot.currentOwnershipStart();
+      if (effectiveDate && ownedSince && effectiveDate < ownedSince) {
+        throw new AppError(
+          `Effective date cannot be earlier than the current owner's start date (${ownedSince.toISOString()})`,
+          400,
+          'INVALID_EFFECTIVE_DATE'
+        );
+      }
+      
+      const fromCustomer = await Customer.findById(robot.customerId).session(session);
+      
+      robot.transferTo(toCustomer._id, {
+        reason,
+        transferredBy: req.user._id,
+        date: effectiveDate
+      });
+      await robot.save();
+      
+      if (fromCustomer) {
+        await fromCustomer.removeRobot(robot._id);
+      }
+      await toCustomer.addRobot(robot._id);
+      
+      return { robot, fromCustomer, toCustomer };
+    });
+    
+    await robot.populate([
+      { path: 'customerId', select: 'companyName contactInfo.address' },
+      { path: 'ownershipHistory.customer', select: 'companyName' },
+      { path: 'ownershipHistory.transferredBy', select: 'name email' }
+    ]);
+    
+    logger.info(`Robot transferred: ${robot.serialNumber} from ${fromCustomer ? fromCustomer.companyName : 'unknown customer'} to ${toCustomer.companyName} by user ${req.user.id}`);
+    
+    res.status(200).json({
+      success: true,
+      data: robot
+    });
+  } catch (error) {
+    logger.error('Error transferring robot:', error);
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 const RobotType = require('../models/RobotType');
+const InspectionTemplate = require('../models/InspectionTemplate');
 const logger = require('../utils/logger');
 
 // @desc    Get all robot types
@@ -76,6 +77,8 @@ exports.createRobotType = async (req, res, next) => {
       maintenanceItems: maintenanceItems || []
     });
 
+    await InspectionTemplate.getCurrent(robotType, req.user._id);
+
     res.status(201).json({
       success: true,
       data: robotType
@@ -115,6 +118,11 @@ exports.updateRobotType = async (req, res, next) => {
       }
     );
 
+    // Snapshot edited items as a new template version; existing inspections keep theirs
+    if (req.body.maintenanceItems) {
+      await InspectionTemplate.getCurrent(robotType, req.user._id);
+    }
+
     res.status(200).json({
       success: true,
       data: robotType
@@ -160,3 +168,31 @@ exports.deleteRobotType = async (req, res, next) => {
   }
 };
 
+// @desc    Get template versions for a robot type
+// @route   GET /api/v1/robot-types/:id/templates
+// @access  Private
+exports.getRobotTypeTemplates = async (req, res, next) => {
+  try {
+    const robotType = await RobotType.findById(req.params.id);
+
+    if (!robotType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Robot type not found'
+      });
+    }
+
+    const templates = await InspectionTemplate.find({ robotType: robotType._id })
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    logger.error('Error fetching robot type templates:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,103 @@
+const Robot = require('../models/Robot');
+const Telemetry = require('../models/Telemetry');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Ingest a batch of telemetry readings from a robot
+// @route   POST /api/v1/robots/:serial/telemetry
+// @access  Private (device)
+const ingestTelemetry = asyncHandler(async (req, res) => {
+  const robot = await Robot.findOne({ serialNumber: req.params.serial.toUpperCase() })
+    .select('_id serialNumber');
+
+  if (!robot) {
+    throw new AppError('Robot not found', 404, 'ROBOT_NOT_FOUND');
+  }
+
+  // A device may only report for the robot its credential was issued to
+  if (!robot._id.equals(req.device.robotId)) {
+    throw new AppError('Device is not authorized for this robot', 403, 'DEVICE_ROBOT_MISMATCH');
+  }
+
+  const readings = req.body.readings.map(reading => ({ ...reading, robot: robot._id }));
+
+  await Telemetry.insertMany(readings);
+
+  // The robot was last seen when this batch arrived; device clocks can't be
+  // trusted to say so, and a value from a skewed clock must not stick
+  const lastSeenAt = new Date();
+  const hours = readings
+    .map(r => r.operationalHours)
+    .filter(h => h !== undefined);
+
+  const update = { $set: { lastSeenAt } };
+  if (hours.length > 0) {
+    // Readings may arrive out of order, so only ever move the counter forward
+    update.$max = { operationalHours: Math.max(...hours) };
+  }
+
+  await Robot.updateOne({ _id: robot._id }, update);
+
+  logger.info('Telemetry ingested', { robot: robot.serialNumber, readings: readings.length });
+
+  res.status(202).json({
+    success: true,
+    message: 'Telemetry accepted',
+    data: {
+      accepted: readings.length,
+      lastSeenAt
+    }
+  });
+});
+
+// @desc    Get downsampled telemetry for a robot
+// @route   GET /api/v1/robots/:serial/telemetry
+// @access  Private
+const getTelemetry = asyncHandler(async (req, res) => {
+  const robot = await Robot.findOne({ serialNumber: req.params.serial.toUpperCase() })
+    .select('_id serialNumber operationalHours lastSeenAt');
+
+  if (!robot) {
+    throw new AppError('Robot not found', 404, 'ROBOT_NOT_FOUND');
+  }
+
+  const to = req.query.to || new Date();
+  const from = req.query.from || new Date(to.getTime() - DAY_MS);
+  const { window } = req.query;
+
+  if (from >= to) {
+    throw new AppError('from must be before to', 400, 'INVALID_RANGE');
+  }
+  if (Telemetry.countWindows(from, to, window) > Telemetry.MAX_WINDOWS) {
+    throw new AppError(
+      `The range spans more than ${Telemetry.MAX_WINDOWS} windows of ${window}; use a shorter range or a larger window`,
+      400,
+      'TOO_MANY_WINDOWS'
+    );
+  }
+
+  const series = await Telemetry.getDownsampled(robot._id, { from, to, window });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      robot: {
+        id: robot._id,
+        serialNumber: robot.serialNumber,
+        operationalHours: robot.operationalHours,
+        lastSeenAt: robot.lastSeenAt
+      },
+      from,
+      to,
+      window,
+      series
+    }
+  });
+});
+
+module.exports = {
+  ingestTelemetry,
+  getTelemetry
+};
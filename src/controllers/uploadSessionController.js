@@ -0,0 +1,102 @@
+const {
+  findSession,
+  createSession,
+  appendChunk,
+  completeSession,
+  abortSession
+} = require('../services/uploadSessions');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// @desc    Start a resumable upload
+// @route   POST /api/v1/upload-sessions
+// @access  Private
+const createUploadSession = asyncHandler(async (req, res) => {
+  const session = await createSession(req.user, req.body);
+
+  logger.info('Resumable upload started', {
+    session: session._id,
+    size: session.size,
+    uploadedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      session
+    }
+  });
+});
+
+// @desc    Get upload progress, i.e. the offset to resume from
+// @route   GET /api/v1/upload-sessions/:id
+// @access  Private (uploader only)
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      session
+    }
+  });
+});
+
+// @desc    Append a chunk; the raw request body is the chunk content
+// @route   PUT /api/v1/upload-sessions/:id/chunks?offset=
+// @access  Private (uploader only)
+const uploadChunk = asyncHandler(async (req, res) => {
+  const session = await findSession(req.params.id, req.user);
+
+  const updated = await appendChunk(session, {
+    offset: req.query.offset,
+    length: parseInt(req.get('Content-Length')),
+    body: req
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      receivedBytes: updated.receivedBytes,
+      size: updated.size,
+      expiresAt: updated.expiresAt
+    }
+  });
+});
+
+// @desc    Verify the checksum and turn the upload into a file
+// @route   POST /api/v1/upload-sessions/:id/complete
+// @access  Private (uploader only)
+const completeUploadSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req.params.id, req.user);
+  const file = await completeSession(req, session);
+
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded successfully',
+    data: {
+      file
+    }
+  });
+});
+
+// @desc    Abandon a resumable upload and discard its chunks
+// @route   DELETE /api/v1/upload-sessions/:id
+// @access  Private (uploader only)
+const abortUploadSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req.params.id, req.user);
+  await abortSession(session);
+
+  res.status(200).json({
+    success: true,
+    message: 'Upload session cancelled'
+  });
+});
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  abortUploadSession
+};
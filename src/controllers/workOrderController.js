@@ -0,0 +1,160 @@
+const WorkOrder = require('../models/WorkOrder');
+const {
+  createWorkOrder: createWorkOrderRecord,
+  updateWorkOrder: updateWorkOrderRecord,
+  transitionWorkOrder
+} = require('../services/workOrders');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// @desc    Get work orders
+// @route   GET /api/v1/work-orders
+// @access  Private
+const getWorkOrders = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = 'dueDate',
+    status,
+    priority,
+    assignee,
+    robot,
+    customer,
+    inspection,
+    overdue
+  } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (status) {
+    query.status = Array.isArray(status) ? { $in: status } : status;
+  }
+  if (priority) query.priority = priority;
+  if (assignee) query.assignee = assignee === 'me' ? req.user._id : assignee;
+  if (robot) query.robot = robot;
+  if (customer) query.customer = customer;
+  if (inspection) query.inspection = inspection;
+
+  if (overdue !== undefined) {
+    const openStatuses = { $in: WorkOrder.OPEN_STATUSES };
+    if (overdue) {
+      query.dueDate = { $lt: new Date() };
+      query.status = query.status || openStatuses;
+    } else {
+      query.$or = [{ dueDate: { $gte: new Date() } }, { status: { $nin: WorkOrder.OPEN_STATUSES } }];
+    }
+  }
+
+  const workOrders = await WorkOrder.find(query)
+    .populate('robot', 'serialNumber model status')
+    .populate('customer', 'companyName')
+    .populate('assignee', 'name email')
+    .select('-statusHistory')
+    .sort(sort)
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await WorkOrder.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      workOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single work order
+// @route   GET /api/v1/work-orders/:id
+// @access  Private
+const getWorkOrder = asyncHandler(async (req, res) => {
+  const workOrder = await WorkOrder.findById(req.params.id)
+    .populate('robot', 'serialNumber model status location')
+    .populate('customer', 'companyName contactInfo.address')
+    .populate('inspection', 'date status technician')
+    .populate('assignee', 'name email')
+    .populate('createdBy', 'name')
+    .populate('statusHistory.changedBy', 'name');
+
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404, 'WORK_ORDER_NOT_FOUND');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      workOrder
+    }
+  });
+});
+
+// @desc    Create work order
+// @route   POST /api/v1/work-orders
+// @access  Private (Admin only)
+const createWorkOrder = asyncHandler(async (req, res) => {
+  const workOrder = await createWorkOrderRecord(req.body, req.user);
+
+  logger.info('Work order created', { workOrder: workOrder._id, robot: workOrder.robot, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Work order created successfully',
+    data: {
+      workOrder
+    }
+  });
+});
+
+// @desc    Update work order details
+// @route   PUT /api/v1/work-orders/:id
+// @access  Private (Admin only)
+const updateWorkOrder = asyncHandler(async (req, res) => {
+  const workOrder = await updateWorkOrderRecord(req.params.id, req.body);
+
+  logger.info('Work order updated', { workOrder: workOrder._id, updatedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order updated successfully',
+    data: {
+      workOrder
+    }
+  });
+});
+
+// @desc    Transition work order status
+// @route   POST /api/v1/work-orders/:id/transitions
+// @access  Private (cancelling and reopening are Admin only)
+const transitionWorkOrderStatus = asyncHandler(async (req, res) => {
+  const { to, reason, resolution } = req.body;
+  const workOrder = await transitionWorkOrder(req.params.id, to, req.user, { reason, resolution });
+
+  logger.info('Work order status changed', {
+    workOrder: workOrder._id,
+    to,
+    changedBy: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Work order moved to ${to}`,
+    data: {
+      workOrder
+    }
+  });
+});
+
+module.exports = {
+  getWorkOrders,
+  getWorkOrder,
+  createWorkOrder,
+  updateWorkOrder,
+  transitionWorkOrderStatus
+};
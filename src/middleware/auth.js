@@ -1,5 +1,9 @@
+const crypto = require('crypto');
+const express = require('express');
 const JWTUtil = require('../utils/jwt');
 const User = require('../models/User');
+const Robot = require('../models/Robot');
+const DeviceCredential = require('../models/DeviceCredential');
 const logger = require('../utils/logger');
 
 // Token blacklist (in production, use Redis)
@@ -115,6 +119,150 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Maximum clock skew accepted on HMAC-signed device requests
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Signatures accepted recently, by "<keyId>:<signature>", with the time they
+// stop being fresh (in production, use Redis)
+const seenSignatures = new Map();
+
+// Record a signature, returning false when it was already used
+const recordSignature = (keyId, signature, timestamp, now = Date.now()) => {
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(key);
+  }
+
+  const key = `${keyId}:${signature}`;
+  if (seenSignatures.has(key)) return false;
+
+  seenSignatures.set(key, timestamp + SIGNATURE_TOLERANCE_MS);
+  return true;
+};
+
+const hasDeviceHeaders = (req) => Boolean(req.get('X-Device-Key') || req.get('X-Device-Id'));
+
+// JSON body parser for routes devices call. It keeps the raw body the HMAC
+// signature covers; server.js leaves requests with device headers to it.
+const deviceJson = express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+// Resolve the device credential from either an API key header
+// (X-Device-Key: <keyId>.<secret>) or an HMAC signature
+// (X-Device-Id, X-Device-Timestamp in epoch milliseconds, X-Device-Signature
+// over "<timestamp>\n<METHOD>\n<url>\n<sha256 of body>"). Each signed request
+// is accepted once.
+const verifyDeviceRequest = async (req) => {
+  const apiKey = req.get('X-Device-Key');
+
+  if (apiKey) {
+    const [keyId, secret] = apiKey.split('.');
+    const credential = await DeviceCredential.findOne({ keyId, type: 'api_key' }).select('+secretHash');
+    if (!credential || !secret || !credential.verifySecret(secret)) {
+      return { error: 'Invalid device credentials' };
+    }
+    return { credential };
+  }
+
+  const keyId = req.get('X-Device-Id');
+  const timestamp = req.get('X-Device-Timestamp');
+  const signature = req.get('X-Device-Signature');
+
+  if (!timestamp || !signature) {
+    return { error: 'Device signature headers required' };
+  }
+
+  // A non-numeric timestamp would compare as NaN and never expire
+  const signedAt = Number(timestamp);
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > SIGNATURE_TOLERANCE_MS) {
+    return { error: 'Device request timestamp out of range' };
+  }
+
+  const credential = await DeviceCredential.findOne({ keyId, type: 'hmac' }).select('+encryptedSecret');
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  const payload = [timestamp, req.method, req.originalUrl, bodyHash].join('\n');
+
+  if (!credential || !credential.verifySignature(payload, signature)) {
+    return { error: 'Invalid device signature' };
+  }
+  if (!recordSignature(keyId, signature, signedAt)) {
+    return { error: 'Device request has already been used' };
+  }
+  return { credential };
+};
+
+// Authenticate a robot or gateway by its device credential. Devices only get
+// the listed scopes, never user permissions.
+const authenticateDevice = (...scopes) => {
+  return async (req, res, next) => {
+    try {
+      const { credential, error } = await verifyDeviceRequest(req);
+
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error
+        });
+      }
+
+      if (credential.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          message: 'Device credential has been revoked'
+        });
+      }
+
+      if (!scopes.every(scope => credential.scopes.includes(scope))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient device scope'
+        });
+      }
+
+      const robot = await Robot.findById(credential.robot).select('serialNumber status');
+      if (!robot || robot.status === 'retired') {
+        return res.status(401).json({
+          success: false,
+          message: 'Device robot is not in service'
+        });
+      }
+
+      await credential.touch();
+
+      req.device = {
+        credentialId: credential._id,
+        keyId: credential.keyId,
+        robotId: robot._id,
+        serialNumber: robot.serialNumber,
+        scopes: credential.scopes
+      };
+
+      next();
+    } catch (error) {
+      logger.error('Device authentication error:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
+  };
+};
+
+// Accept either a device credential (when device headers are present) or a user JWT
+const authenticateUserOrDevice = (...scopes) => {
+  const deviceAuth = authenticateDevice(...scopes);
+  return (req, res, next) => {
+    if (hasDeviceHeaders(req)) {
+      return deviceAuth(req, res, next);
+    }
+    return authenticate(req, res, next);
+  };
+};
+
 const blacklistToken = (token) => {
   tokenBlacklist.add(token);
   
@@ -133,7 +281,12 @@ const isTokenBlacklisted = (token) => {
 
 module.exports = {
   authenticate,
+  protect: authenticate,
   authorize,
+  authenticateDevice,
+  authenticateUserOrDevice,
+  hasDeviceHeaders,
+  deviceJson,
   optionalAuth,
   blacklistToken,
   isTokenBlacklisted
@@ -1,58 +1,65 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { getActiveStorage, getStorage, buildKey } = require('../services/storage');
 const logger = require('../utils/logger');
 
-// Ensure upload directory exists
+// Local upload directory, used when files are stored on disk
 const uploadDir = process.env.UPLOAD_PATH || './uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Create subdirectories based on file type and date
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    let subDir = 'general';
-    if (file.mimetype.startsWith('image/')) {
-      subDir = 'images';
-    } else if (file.mimetype === 'application/pdf') {
-      subDir = 'documents';
-    }
-    
-    const fullPath = path.join(uploadDir, subDir, year.toString(), month, day);
-    
-    // Create directory if it doesn't exist
-    fs.mkdirSync(fullPath, { recursive: true });
-    
-    cb(null, fullPath);
+
+// Multer storage engine that streams each upload into the active storage
+// backend, hashing it on the way through so the bytes are only read once
+const storage = {
+  _handleFile(req, file, cb) {
+    const adapter = getActiveStorage();
+    const { key, filename } = buildKey(file.originalname, file.mimetype);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        size += chunk.length;
+        done(null, chunk);
+      }
+    });
+    // Errors surface through the adapter's put, which reads from counter
+    pipeline(file.stream, counter, () => {});
+
+    adapter.put(key, counter, { contentType: file.mimetype })
+      .then(({ storageLocation }) => cb(null, {
+        filename,
+        size,
+        storageLocation,
+        storageBackend: adapter.name,
+        checksum: hash.digest('hex')
+      }))
+      .catch(cb);
   },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    const sanitizedName = name.replace(/[^a-zA-Z0-9]/g, '_');
-    
-    cb(null, `${sanitizedName}_${uniqueSuffix}${ext}`);
+
+  _removeFile(req, file, cb) {
+    getStorage(file.storageBackend).delete(file.storageLocation)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
-// File filter function
-const fileFilter = (req, file, cb) => {
+// MIME types accepted for uploads
+const isAllowedType = (mimeType) => {
   const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || [
     'image/jpeg',
     'image/png',
     'image/gif',
     'application/pdf'
   ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
+  return allowedTypes.includes(mimeType);
+};
+
+// File filter function
+const fileFilter = (req, file, cb) => {
+  if (isAllowedType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error(`File type ${file.mimetype} is not allowed`), false);
@@ -165,6 +172,62 @@ const uploadFields = (fields) => {
   };
 };
 
+// Spreadsheets for bulk imports are parsed in memory and never written to disk
+const spreadsheetTypes = [
+  'text/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (spreadsheetTypes.includes(file.mimetype) || ext === '.csv' || ext === '.xlsx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or XLSX files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  }
+});
+
+// Middleware for single spreadsheet upload (CSV or XLSX)
+const uploadSpreadsheet = (fieldName = 'file') => {
+  return (req, res, next) => {
+    spreadsheetUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        logger.error('Spreadsheet upload error:', err);
+        
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            message: 'File too large',
+            maxSize: '5MB'
+          });
+        }
+        
+        return res.status(400).json({
+          success: false,
+          message: err.message || 'File upload failed'
+        });
+      }
+      
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `No file uploaded in field '${fieldName}'`
+        });
+      }
+      
+      next();
+    });
+  };
+};
+
 // Utility function to get file URL
 const getFileUrl = (req, filePath) => {
   const baseUrl = `${req.protocol}://${req.get('host')}`;
@@ -187,9 +250,12 @@ const deleteFile = (filePath) => {
 };
 
 module.exports = {
+  uploadDir,
+  isAllowedType,
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadSpreadsheet,
   getFileUrl,
   deleteFile
 };
@@ -30,6 +30,34 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// How far ahead of the server's clock a device reading may be stamped
+const TELEMETRY_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// An IANA time zone name such as America/New_York
+const timeZone = Joi.string().trim().max(64).custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('"timezone" must be a valid IANA time zone');
+  }
+});
+
+// A position as { latitude, longitude } or a GeoJSON point ([longitude, latitude])
+const coordinates = Joi.alternatives().try(
+  Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  }),
+  Joi.object({
+    type: Joi.string().valid('Point').required(),
+    coordinates: Joi.array().ordered(
+      Joi.number().min(-180).max(180).required(),
+      Joi.number().min(-90).max(90).required()
+    ).length(2).required()
+  })
+);
+
 // Common validation schemas
 const schemas = {
   // User schemas
@@ -83,7 +111,8 @@ const schemas = {
         city: Joi.string().required(),
         state: Joi.string().required(),
         zipCode: Joi.string().required(),
-        country: Joi.string().default('United States')
+        country: Joi.string().default('United States'),
+        coordinates
       }).required()
     }).required(),
     serviceAgreement: Joi.object({
@@ -107,7 +136,8 @@ const schemas = {
         city: Joi.string(),
         state: Joi.string(),
         zipCode: Joi.string(),
-        country: Joi.string()
+        country: Joi.string(),
+        coordinates
       })
     }),
     serviceAgreement: Joi.object({
@@ -127,6 +157,7 @@ const schemas = {
     model: Joi.string().trim().required(),
     manufacturer: Joi.string().trim().default('Ctrl Robotics'),
     customerId: Joi.string().hex().length(24).required(),
+    robotType: Joi.string().hex().length(24),
     specifications: Joi.object({
       type: Joi.string().valid('delivery', 'cleaning', 'security', 'inspection').default('delivery'),
       version: Joi.string().trim(),
@@ -138,13 +169,17 @@ const schemas = {
     location: Joi.object({
       building: Joi.string(),
       floor: Joi.string(),
-      zone: Joi.string()
+      zone: Joi.string(),
+      coordinates
     })
   }),
 
+  // customerId and ownershipHistory are left out on purpose: ownership only
+  // changes through robotTransfer
   robotUpdate: Joi.object({
     model: Joi.string().trim(),
     manufacturer: Joi.string().trim(),
+    robotType: Joi.string().hex().length(24),
     specifications: Joi.object({
       type: Joi.string().valid('delivery', 'cleaning', 'security', 'inspection'),
       version: Joi.string().trim(),
@@ -156,15 +191,84 @@ const schemas = {
     location: Joi.object({
       building: Joi.string(),
       floor: Joi.string(),
-      zone: Joi.string()
+      zone: Joi.string(),
+      coordinates
     }),
     operationalHours: Joi.number().min(0)
   }),
 
+  robotTransfer: Joi.object({
+    customerId: Joi.string().hex().length(24).required(),
+    reason: Joi.string().trim().max(500).required(),
+    effectiveDate: Joi.date().max('now')
+  }),
+
+  robotAlertCreate: Joi.object({
+    type: Joi.string().valid('maintenance_due', 'warranty_expiring', 'battery_low', 'error', 'offline').required(),
+    message: Joi.string().trim().max(500).required(),
+    severity: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium')
+  }),
+
+  alertQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    severity: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    type: Joi.string().valid('maintenance_due', 'warranty_expiring', 'battery_low', 'error', 'offline', 'status_change'),
+    customer: Joi.string().hex().length(24),
+    acknowledged: Joi.boolean(),
+    startDate: Joi.date(),
+    endDate: Joi.date()
+  }),
+
+  alertAcknowledge: Joi.object({
+    alertIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500).required()
+  }),
+
+  deviceCredentialCreate: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    type: Joi.string().valid('api_key', 'hmac').default('api_key'),
+    scopes: Joi.array().items(Joi.string().valid('telemetry:write', 'alerts:write')).min(1).unique().required()
+  }),
+
+  telemetryBatch: Joi.object({
+    readings: Joi.array().items(Joi.object({
+      // Allow for some clock drift on the device, but not readings from the future
+      timestamp: Joi.date().required().custom((value, helpers) => (
+        value.getTime() > Date.now() + TELEMETRY_CLOCK_SKEW_MS
+          ? helpers.message('"timestamp" must not be in the future')
+          : value
+      )),
+      battery: Joi.number().min(0).max(100),
+      operationalHours: Joi.number().min(0),
+      errorCodes: Joi.array().items(Joi.string().trim().max(50)).max(50),
+      position: Joi.object({
+        latitude: Joi.number().min(-90).max(90),
+        longitude: Joi.number().min(-180).max(180),
+        floor: Joi.string(),
+        zone: Joi.string()
+      })
+    })).min(1).max(1000).required()
+  }),
+
+  telemetryQuery: Joi.object({
+    from: Joi.date(),
+    to: Joi.date(),
+    window: Joi.string().pattern(/^[1-9]\d*[mhd]$/).default('1h')
+  }),
+
   // Inspection schemas
   inspectionCreate: Joi.object({
-    robotId: Joi.string().hex().length(24).required(),
-    customerId: Joi.string().hex().length(24).required()
+    robot: Joi.string().hex().length(24).required(),
+    technician: Joi.string().hex().length(24),
+    date: Joi.date().required(),
+    progress: Joi.number().min(0).max(100),
+    maintenanceItems: Joi.array().items(Joi.object({
+      item: Joi.string().required(),
+      status: Joi.string().valid('pending', 'in_progress', 'completed', 'failed'),
+      notes: Joi.string().allow('')
+    })),
+    notes: Joi.string().allow(''),
+    images: Joi.array().items(Joi.string())
   }),
 
   inspectionUpdate: Joi.object({
@@ -221,7 +325,261 @@ const schemas = {
       })
     }),
     summary: Joi.string().max(1000),
-    signature: Joi.string()
+    signature: Joi.string(),
+    progress: Joi.number().min(0).max(100),
+    date: Joi.date(),
+    maintenanceItems: Joi.array().items(Joi.object({
+      item: Joi.string().required(),
+      status: Joi.string().valid('pending', 'in_progress', 'completed', 'failed'),
+      notes: Joi.string().allow('')
+    })),
+    notes: Joi.string().allow(''),
+    images: Joi.array().items(Joi.string())
+  }),
+
+  inspectionTransition: Joi.object({
+    to: Joi.string().valid('scheduled', 'in_progress', 'completed', 'cancelled').required(),
+    reason: Joi.string().trim().max(500)
+  }),
+
+  componentInstall: Joi.object({
+    partSerial: Joi.string().trim().uppercase().required(),
+    type: Joi.string().valid('battery', 'door_actuator', 'charger', 'display', 'motor', 'sensor', 'controller', 'other').required(),
+    partNumber: Joi.string().trim(),
+    manufacturer: Joi.string().trim(),
+    position: Joi.string().trim(),
+    warranty: Joi.object({
+      expiresAt: Joi.date(),
+      provider: Joi.string().trim(),
+      terms: Joi.string().trim()
+    }),
+    notes: Joi.string().max(1000)
+  }),
+
+  componentReplace: Joi.object({
+    replacement: Joi.object({
+      partSerial: Joi.string().trim().uppercase().required(),
+      partNumber: Joi.string().trim(),
+      manufacturer: Joi.string().trim(),
+      warranty: Joi.object({
+        expiresAt: Joi.date(),
+        provider: Joi.string().trim(),
+        terms: Joi.string().trim()
+      }),
+      notes: Joi.string().max(1000)
+    }).required(),
+    reason: Joi.string().trim().max(500).required()
+  }),
+
+  // Parts inventory schemas
+  partCreate: Joi.object({
+    partNumber: Joi.string().trim().uppercase().max(50).required(),
+    name: Joi.string().trim().max(200).required(),
+    description: Joi.string().max(1000).allow(''),
+    componentType: Joi.string().valid('battery', 'door_actuator', 'charger', 'display', 'motor', 'sensor', 'controller', 'consumable', 'other'),
+    unit: Joi.string().trim().max(20),
+    unitCost: Joi.number().min(0),
+    supplier: Joi.string().trim().max(200),
+    reorderPoint: Joi.number().integer().min(0),
+    reorderQuantity: Joi.number().integer().min(1)
+  }),
+
+  partUpdate: Joi.object({
+    name: Joi.string().trim().max(200),
+    description: Joi.string().max(1000).allow(''),
+    componentType: Joi.string().valid('battery', 'door_actuator', 'charger', 'display', 'motor', 'sensor', 'controller', 'consumable', 'other'),
+    unit: Joi.string().trim().max(20),
+    unitCost: Joi.number().min(0),
+    supplier: Joi.string().trim().max(200),
+    reorderPoint: Joi.number().integer().min(0),
+    reorderQuantity: Joi.number().integer().min(1),
+    isActive: Joi.boolean()
+  }),
+
+  partQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort: Joi.string(),
+    search: Joi.string().trim(),
+    componentType: Joi.string(),
+    isActive: Joi.boolean()
+  }),
+
+  stockLocationCreate: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    type: Joi.string().valid('warehouse', 'van').required(),
+    technician: Joi.when('type', {
+      is: 'van',
+      then: Joi.string().hex().length(24).required(),
+      otherwise: Joi.forbidden()
+    })
+  }),
+
+  stockReceipt: Joi.object({
+    partId: Joi.string().hex().length(24).required(),
+    locationId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().integer().min(1).required(),
+    note: Joi.string().trim().max(500)
+  }),
+
+  stockTransfer: Joi.object({
+    partId: Joi.string().hex().length(24).required(),
+    fromLocationId: Joi.string().hex().length(24).required(),
+    toLocationId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().integer().min(1).required(),
+    note: Joi.string().trim().max(500)
+  }),
+
+  partsConsume: Joi.object({
+    partId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().integer().min(1).required(),
+    locationId: Joi.string().hex().length(24),
+    note: Joi.string().trim().max(500)
+  }),
+
+  movementQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    part: Joi.string().hex().length(24),
+    location: Joi.string().hex().length(24),
+    type: Joi.string().valid('receipt', 'transfer', 'consumption'),
+    inspection: Joi.string().hex().length(24),
+    startDate: Joi.date(),
+    endDate: Joi.date()
+  }),
+
+  // Work order schemas
+  workOrderCreate: Joi.object({
+    title: Joi.string().trim().max(200).required(),
+    description: Joi.string().max(2000).allow(''),
+    priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    robot: Joi.string().hex().length(24).required(),
+    inspection: Joi.string().hex().length(24),
+    assignee: Joi.string().hex().length(24),
+    dueDate: Joi.date()
+  }),
+
+  workOrderUpdate: Joi.object({
+    title: Joi.string().trim().max(200),
+    description: Joi.string().max(2000).allow(''),
+    priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    assignee: Joi.string().hex().length(24),
+    dueDate: Joi.date()
+  }),
+
+  workOrderTransition: Joi.object({
+    to: Joi.string().valid('open', 'in_progress', 'on_hold', 'completed', 'cancelled').required(),
+    reason: Joi.string().trim().max(500),
+    resolution: Joi.string().trim().max(1000)
+  }),
+
+  workOrderQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort: Joi.string().default('dueDate'),
+    status: Joi.alternatives().try(
+      Joi.string().valid('open', 'in_progress', 'on_hold', 'completed', 'cancelled'),
+      Joi.array().items(Joi.string().valid('open', 'in_progress', 'on_hold', 'completed', 'cancelled'))
+    ),
+    priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    assignee: Joi.alternatives().try(Joi.string().hex().length(24), Joi.string().valid('me')),
+    robot: Joi.string().hex().length(24),
+    customer: Joi.string().hex().length(24),
+    inspection: Joi.string().hex().length(24),
+    overdue: Joi.boolean()
+  }),
+
+  // Dispatch schemas
+  dispatchParams: Joi.object({
+    technicianId: Joi.string().hex().length(24).required(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+      .messages({ 'string.pattern.base': 'Date must be in YYYY-MM-DD format' })
+  }),
+
+  dispatchQuery: Joi.object({
+    optimize: Joi.boolean().default(false),
+    startLat: Joi.number().min(-90).max(90),
+    startLng: Joi.number().min(-180).max(180),
+    timezone: timeZone
+  }).and('startLat', 'startLng'),
+
+  dispatchRouteOrder: Joi.object({
+    inspectionIds: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
+    timezone: timeZone
+  }),
+
+  dispatchReassign: Joi.object({
+    inspectionId: Joi.string().hex().length(24).required(),
+    technicianId: Joi.string().hex().length(24).required(),
+    date: Joi.date()
+  }),
+
+  // Geospatial search schemas
+  customerNearQuery: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().positive().max(500).default(10),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  robotNearQuery: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().positive().max(500).default(10),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('active', 'maintenance', 'retired', 'offline'),
+    customer: Joi.string().hex().length(24)
+  }),
+
+  // File schemas
+  fileUpload: Joi.object({
+    relatedType: Joi.string().valid('inspection', 'robot', 'customer', 'user').required(),
+    relatedId: Joi.string().hex().length(24).required(),
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).single().default([]),
+    description: Joi.string().max(500),
+    isPublic: Joi.boolean().default(false)
+  }),
+
+  fileQuery: Joi.object({
+    relatedType: Joi.string().valid('inspection', 'robot', 'customer', 'user').required(),
+    relatedId: Joi.string().hex().length(24).required(),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  }),
+
+  fileStatsQuery: Joi.object({
+    relatedType: Joi.string().valid('inspection', 'robot', 'customer', 'user'),
+    relatedId: Joi.string().hex().length(24),
+    uploadedBy: Joi.string().hex().length(24)
+  }),
+
+  fileDownloadQuery: Joi.object({
+    variant: Joi.string().valid('thumbnail', 'web'),
+    expires: Joi.number().integer(),
+    signature: Joi.string().hex()
+  }),
+
+  fileSignedUrlQuery: Joi.object({
+    ttl: Joi.number().integer().min(60).max(7 * 24 * 60 * 60)
+  }),
+
+  fileTags: Joi.object({
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).min(1).max(20).required()
+  }),
+
+  uploadSessionCreate: Joi.object({
+    relatedType: Joi.string().valid('inspection', 'robot', 'customer', 'user').required(),
+    relatedId: Joi.string().hex().length(24).required(),
+    originalName: Joi.string().trim().max(255).required(),
+    mimeType: Joi.string().trim().lowercase().required(),
+    size: Joi.number().integer().min(1).required(),
+    checksum: Joi.string().hex().length(64).lowercase().required(),
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).default([]),
+    description: Joi.string().max(500),
+    isPublic: Joi.boolean().default(false)
+  }),
+
+  uploadChunkQuery: Joi.object({
+    offset: Joi.number().integer().min(0).required()
   }),
 
   // Query parameter schemas
@@ -248,8 +606,11 @@ const validateCustomer = validate(schemas.customerCreate);
 const validateCustomerUpdate = validate(schemas.customerUpdate);
 const validateRobot = validate(schemas.robotCreate);
 const validateRobotUpdate = validate(schemas.robotUpdate);
+const validateRobotAlert = validate(schemas.robotAlertCreate);
+const validateRobotTransfer = validate(schemas.robotTransfer);
 const validateInspection = validate(schemas.inspectionCreate);
 const validateInspectionUpdate = validate(schemas.inspectionUpdate);
+const validateInspectionTransition = validate(schemas.inspectionTransition);
 const validateObjectId = validate(schemas.objectId, 'params');
 const validateQuery = validate(schemas.queryParams, 'query');
 
@@ -263,8 +624,11 @@ module.exports = {
   validateCustomerUpdate,
   validateRobot,
   validateRobotUpdate,
+  validateRobotAlert,
+  validateRobotTransfer,
   validateInspection,
   validateInspectionUpdate,
+  validateInspectionTransition,
   validateObjectId,
   validateQuery
 };
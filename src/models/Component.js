@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// A serialized part fitted to a robot. Replacements link both ways so the
+// history of a slot can be followed from any part in it.
+const componentSchema = new mongoose.Schema({
+  partSerial: {
+    type: String,
+    required: [true, 'Part serial number is required'],
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['battery', 'door_actuator', 'charger', 'display', 'motor', 'sensor', 'controller', 'other'],
+    required: [true, 'Component type is required']
+  },
+  partNumber: {
+    type: String,
+    trim: true
+  },
+  manufacturer: {
+    type: String,
+    trim: true
+  },
+  // Position on the robot, e.g. door number for actuators
+  position: {
+    type: String,
+    trim: true
+  },
+  robot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Robot',
+    required: [true, 'Robot ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['installed', 'removed'],
+    default: 'installed'
+  },
+  installDate: {
+    type: Date,
+    default: Date.now
+  },
+  installedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  installedDuringInspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection'
+  },
+  removedDate: Date,
+  removedDuringInspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection'
+  },
+  removalReason: {
+    type: String,
+    maxlength: 500
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Component'
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Component'
+  },
+  warranty: {
+    expiresAt: Date,
+    provider: String,
+    terms: String
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+// A serial can only be installed in one place at a time, but a removed part
+// keeps its record when it is refitted elsewhere. Databases created with the
+// old unique index on partSerial need Component.syncIndexes() to drop it.
+componentSchema.index({ partSerial: 1 }, { unique: true, partialFilterExpression: { status: 'installed' } });
+// One installed component per positioned slot, e.g. each door's actuator
+componentSchema.index(
+  { robot: 1, type: 1, position: 1 },
+  { unique: true, partialFilterExpression: { status: 'installed', position: { $type: 'string' } } }
+);
+componentSchema.index({ robot: 1, status: 1 });
+componentSchema.index({ type: 1 });
+componentSchema.index({ 'warranty.expiresAt': 1 });
+
+// Virtual for warranty status
+componentSchema.virtual('warrantyStatus').get(function() {
+  if (!this.warranty || !this.warranty.expiresAt) return 'none';
+  return this.warranty.expiresAt < new Date() ? 'expired' : 'active';
+});
+
+// Method to take the component out of service (does not save)
+componentSchema.methods.markRemoved = function({ inspectionId, reason, replacedBy, date = new Date() }) {
+  this.status = 'removed';
+  this.removedDate = date;
+  this.removedDuringInspection = inspectionId;
+  this.removalReason = reason;
+  this.replacedBy = replacedBy;
+  return this;
+};
+
+// Static method to get the bill of materials for a robot
+componentSchema.statics.getBillOfMaterials = function(robotId, { includeRemoved = false } = {}) {
+  const query = { robot: robotId };
+  if (!includeRemoved) {
+    query.status = 'installed';
+  }
+
+  return this.find(query)
+    .populate('installedBy', 'name')
+    .sort({ type: 1, position: 1, installDate: -1 });
+};
+
+module.exports = mongoose.model('Component', componentSchema);
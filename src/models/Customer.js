@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { pointPath, pointUpdatePlugin } = require('./PointSchema');
 
 const customerSchema = new mongoose.Schema({
   companyName: {
@@ -46,9 +47,12 @@ const customerSchema = new mongoose.Schema({
         type: String,
         default: 'United States'
       },
-      coordinates: {
-        latitude: Number,
-        longitude: Number
+      coordinates: pointPath(),
+      // How coordinates were resolved when they came from the geocoder
+      geocode: {
+        provider: String,
+        precision: String,
+        geocodedAt: Date
       }
     }
   },
@@ -89,6 +93,8 @@ const customerSchema = new mongoose.Schema({
   timestamps: true
 });
 
+customerSchema.plugin(pointUpdatePlugin, { paths: ['contactInfo.address.coordinates'] });
+
 // Indexes
 customerSchema.index({ companyName: 1 });
 customerSchema.index({ 'contactInfo.email': 1 });
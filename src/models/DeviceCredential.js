@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEVICE_SCOPES = ['telemetry:write', 'alerts:write'];
+
+// Key used to encrypt HMAC secrets at rest. API key secrets are only stored hashed.
+// It is a key of its own, so a leaked JWT secret can't decrypt device secrets;
+// server.js refuses to start without it.
+const encryptionKey = () => {
+  const secret = process.env.DEVICE_SECRET_KEY;
+  if (!secret) {
+    throw new Error('DEVICE_SECRET_KEY must be set to encrypt device secrets');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const deviceCredentialSchema = new mongoose.Schema({
+  robot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Robot',
+    required: [true, 'Robot ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Credential name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['api_key', 'hmac'],
+    default: 'api_key'
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    select: false
+  },
+  encryptedSecret: {
+    type: String,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: DEVICE_SCOPES
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: Date,
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.secretHash;
+      delete ret.encryptedSecret;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+deviceCredentialSchema.index({ robot: 1 });
+
+// Virtual for credential state
+deviceCredentialSchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Method to generate and store a new secret. Returns the plain secret, which
+// is never retrievable again once this call returns.
+deviceCredentialSchema.methods.setSecret = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  if (this.type === 'hmac') {
+    this.encryptedSecret = encryptSecret(secret);
+    this.secretHash = undefined;
+  } else {
+    this.secretHash = hashSecret(secret);
+    this.encryptedSecret = undefined;
+  }
+
+  return secret;
+};
+
+// Method to verify an API key secret (requires secretHash to be selected)
+deviceCredentialSchema.methods.verifySecret = function(secret) {
+  return Boolean(this.secretHash) && safeEqual(hashSecret(secret), this.secretHash);
+};
+
+// Method to verify an HMAC request signature (requires encryptedSecret to be selected)
+deviceCredentialSchema.methods.verifySignature = function(payload, signature) {
+  if (!this.encryptedSecret) return false;
+
+  const expected = crypto
+    .createHmac('sha256', decryptSecret(this.encryptedSecret))
+    .update(payload)
+    .digest('hex');
+
+  return safeEqual(expected, signature);
+};
+
+// Method to record use, at most once a minute to keep writes down
+deviceCredentialSchema.methods.touch = function() {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = now;
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now });
+};
+
+// Static method to issue a credential for a robot. Resolves with the
+// credential and its plain secret.
+deviceCredentialSchema.statics.issue = async function(robotId, { name, type, scopes }, userId) {
+  const credential = new this({
+    robot: robotId,
+    name,
+    type,
+    scopes,
+    keyId: `dk_${crypto.randomBytes(12).toString('hex')}`,
+    createdBy: userId
+  });
+
+  const secret = credential.setSecret();
+  await credential.save();
+
+  return { credential, secret };
+};
+
+deviceCredentialSchema.statics.SCOPES = DEVICE_SCOPES;
+
+module.exports = mongoose.model('DeviceCredential', deviceCredentialSchema);
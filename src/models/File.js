@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// Derived copy of an image, stored next to the original in the same backend
+const variantSchema = new mongoose.Schema({
+  storageLocation: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
 const fileSchema = new mongoose.Schema({
   filename: {
     type: String,
@@ -61,6 +73,13 @@ const fileSchema = new mongoose.Schema({
     },
     checksum: String
   },
+  // Backend holding the bytes and where they are within it (a disk path for
+  // local storage, an object key for S3)
+  storageBackend: {
+    type: String,
+    enum: ['local', 's3', 'memory'],
+    default: 'local'
+  },
   storageLocation: {
     type: String,
     required: [true, 'Storage location is required']
@@ -70,6 +89,11 @@ const fileSchema = new mongoose.Schema({
     required: [true, 'File URL is required']
   },
   thumbnailUrl: String,
+  // Images only. Variants carry no EXIF data, so public downloads use them
+  variants: {
+    thumbnail: variantSchema,
+    web: variantSchema
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -101,6 +125,7 @@ fileSchema.index({ mimeType: 1 });
 fileSchema.index({ createdAt: -1 });
 fileSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 fileSchema.index({ tags: 1 });
+fileSchema.index({ storageBackend: 1 });
 fileSchema.index({ filename: 'text', originalName: 'text', description: 'text' });
 
 // Virtual for file extension
@@ -170,10 +195,35 @@ fileSchema.statics.getByType = function(type, relatedId, options = {}) {
     .populate('uploadedBy', 'name email');
 };
 
-// Static method to get file statistics
+// Static method to get file statistics. Category is a virtual, so the
+// pipeline derives it from mimeType the same way.
 fileSchema.statics.getStatistics = function(filters = {}) {
   const pipeline = [
     { $match: filters },
+    {
+      $addFields: {
+        category: {
+          $switch: {
+            branches: [
+              { case: { $eq: [{ $indexOfCP: ['$mimeType', 'image/'] }, 0] }, then: 'image' },
+              { case: { $eq: [{ $indexOfCP: ['$mimeType', 'video/'] }, 0] }, then: 'video' },
+              { case: { $eq: [{ $indexOfCP: ['$mimeType', 'audio/'] }, 0] }, then: 'audio' },
+              { case: { $eq: ['$mimeType', 'application/pdf'] }, then: 'pdf' },
+              {
+                case: {
+                  $or: [
+                    { $gte: [{ $indexOfCP: ['$mimeType', 'document'] }, 0] },
+                    { $gte: [{ $indexOfCP: ['$mimeType', 'text'] }, 0] }
+                  ]
+                },
+                then: 'document'
+              }
+            ],
+            default: 'other'
+          }
+        }
+      }
+    },
     {
       $group: {
         _id: '$category',
@@ -1,30 +1,136 @@
 const mongoose = require('mongoose');
 
+// Result of a single pass/fail checklist item
+const CheckResultSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pass', 'fail', 'na'],
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  photos: [{
+    type: String // URLs to uploaded images
+  }]
+}, { _id: false });
+
+const DamageAssessmentSchema = new mongoose.Schema({
+  hasDamage: {
+    type: Boolean,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  photos: [{
+    type: String
+  }]
+}, { _id: false });
+
+const DoorTestSchema = new mongoose.Schema({
+  doorNumber: {
+    type: Number,
+    min: 1,
+    max: 4,
+    required: true
+  },
+  isWorking: {
+    type: Boolean,
+    required: true
+  },
+  needsAttention: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  photos: [{
+    type: String
+  }]
+}, { _id: false });
+
+const ChecklistSchema = new mongoose.Schema({
+  displayCheck: CheckResultSchema,
+  chargingCheck: CheckResultSchema,
+  chargerCheck: CheckResultSchema,
+  damageAssessment: DamageAssessmentSchema,
+  hardwareTests: new mongoose.Schema({
+    door1: DoorTestSchema,
+    door2: DoorTestSchema,
+    door3: DoorTestSchema,
+    door4: DoorTestSchema
+  }, { _id: false })
+}, { _id: false });
+
+const CHECK_ITEMS = ['displayCheck', 'chargingCheck', 'chargerCheck'];
+const DOOR_TESTS = ['door1', 'door2', 'door3', 'door4'];
+
 const InspectionSchema = new mongoose.Schema({
+  robot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Robot',
+    required: [true, 'Please add a robot']
+  },
   robotSerial: {
     type: String,
     required: [true, 'Please add a robot serial number'],
-    trim: true
+    trim: true,
+    uppercase: true
   },
   customer: {
-    type: String,
-    required: [true, 'Please add a customer name'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Please add a customer']
   },
   technician: {
-    type: String,
-    required: [true, 'Please add a technician name'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a technician']
   },
   date: {
     type: Date,
     required: [true, 'Please add an inspection date']
   },
+  source: {
+    type: String,
+    enum: ['manual', 'scheduler'],
+    default: 'manual'
+  },
+  // Position in the technician's route for the day when set by a dispatcher
+  routeOrder: Number,
   status: {
     type: String,
     enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: ['scheduled', 'in_progress', 'completed', 'cancelled']
+    },
+    to: {
+      type: String,
+      enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    }
+  }],
   progress: {
     type: Number,
     min: 0,
@@ -46,6 +152,53 @@ const InspectionSchema = new mongoose.Schema({
       default: ''
     }
   }],
+  template: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InspectionTemplate'
+    },
+    version: Number
+  },
+  checklist: {
+    type: ChecklistSchema,
+    default: () => ({})
+  },
+  summary: {
+    type: String,
+    maxlength: 1000
+  },
+  signature: {
+    type: String // Base64 data URL of the captured signature
+  },
+  signedAt: Date,
+  partsUsed: [{
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PartsCatalog',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLocation'
+    },
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement'
+    },
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: {
     type: String,
     default: ''
@@ -61,6 +214,41 @@ const InspectionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for checklist pass/fail totals
+// Door tests count as pass/fail from isWorking, damage assessment fails when damage is found
+InspectionSchema.virtual('checklistTotals').get(function() {
+  const totals = { pass: 0, fail: 0, na: 0, pending: 0, total: 0 };
+  const checklist = this.checklist || {};
+
+  CHECK_ITEMS.forEach(key => {
+    const check = checklist[key];
+    totals[check ? check.status : 'pending'] += 1;
+  });
+
+  const damage = checklist.damageAssessment;
+  if (!damage) {
+    totals.pending += 1;
+  } else {
+    totals[damage.hasDamage ? 'fail' : 'pass'] += 1;
+  }
+
+  const hardwareTests = checklist.hardwareTests || {};
+  DOOR_TESTS.forEach(key => {
+    const door = hardwareTests[key];
+    if (!door) {
+      totals.pending += 1;
+    } else {
+      totals[door.isWorking ? 'pass' : 'fail'] += 1;
+    }
+  });
+
+  totals.total = totals.pass + totals.fail + totals.na + totals.pending;
+  return totals;
 });
 
 // Update the updatedAt field before saving
@@ -70,10 +258,36 @@ InspectionSchema.pre('save', function(next) {
 });
 
 // Create indexes for better query performance
+InspectionSchema.index({ robot: 1 });
 InspectionSchema.index({ robotSerial: 1 });
 InspectionSchema.index({ customer: 1 });
+InspectionSchema.index({ technician: 1 });
 InspectionSchema.index({ date: -1 });
 InspectionSchema.index({ status: 1 });
+InspectionSchema.index({ technician: 1, date: 1 });
+// At most one open scheduler-created inspection per robot
+InspectionSchema.index(
+  { robot: 1, source: 1 },
+  { unique: true, partialFilterExpression: { source: 'scheduler', status: 'scheduled' } }
+);
+
+// Apply a validated checklist update, replacing each submitted item as a whole
+// so untouched items keep their previous results
+InspectionSchema.methods.applyChecklist = function(checklist) {
+  const { hardwareTests, ...checks } = checklist;
+
+  Object.entries(checks).forEach(([key, value]) => {
+    this.set(`checklist.${key}`, value);
+  });
+
+  if (hardwareTests) {
+    Object.entries(hardwareTests).forEach(([key, value]) => {
+      this.set(`checklist.hardwareTests.${key}`, value);
+    });
+  }
+
+  return this;
+};
 
 module.exports = mongoose.model('Inspection', InspectionSchema);
 
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a robot type's maintenance items. A new version is
+// created whenever the robot type's items change, so inspections keep the
+// checklist they were started with.
+const inspectionTemplateSchema = new mongoose.Schema({
+  robotType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RobotType',
+    required: [true, 'Robot type is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  items: [{
+    type: String,
+    required: true,
+    trim: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+inspectionTemplateSchema.index({ robotType: 1, version: -1 }, { unique: true });
+
+const sameItems = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+// Static method to get the latest template for a robot type, creating a new
+// version when the robot type's maintenance items have changed since
+inspectionTemplateSchema.statics.getCurrent = async function(robotType, userId) {
+  const items = robotType.maintenanceItems || [];
+  const latest = await this.findOne({ robotType: robotType._id }).sort({ version: -1 });
+
+  if (latest && sameItems(latest.items, items)) {
+    return latest;
+  }
+
+  try {
+    return await this.create({
+      robotType: robotType._id,
+      version: latest ? latest.version + 1 : 1,
+      items,
+      createdBy: userId
+    });
+  } catch (error) {
+    // Another request created the same version first
+    if (error.code === 11000) {
+      return this.findOne({ robotType: robotType._id }).sort({ version: -1 });
+    }
+    throw error;
+  }
+};
+
+// Method to build inspection maintenance items from the template
+inspectionTemplateSchema.methods.toMaintenanceItems = function() {
+  return this.items.map(item => ({ item, status: 'pending', notes: '' }));
+};
+
+module.exports = mongoose.model('InspectionTemplate', inspectionTemplateSchema);
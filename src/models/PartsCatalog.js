@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const partsCatalogSchema = new mongoose.Schema({
+  partNumber: {
+    type: String,
+    required: [true, 'Part number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Part name is required'],
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  componentType: {
+    type: String,
+    enum: ['battery', 'door_actuator', 'charger', 'display', 'motor', 'sensor', 'controller', 'consumable', 'other'],
+    default: 'other'
+  },
+  unit: {
+    type: String,
+    default: 'each',
+    trim: true
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  // Default stock thresholds; a location can override the reorder point per part
+  reorderPoint: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+partsCatalogSchema.index({ componentType: 1 });
+partsCatalogSchema.index({ isActive: 1 });
+partsCatalogSchema.index({ name: 'text', partNumber: 'text', description: 'text' });
+
+module.exports = mongoose.model('PartsCatalog', partsCatalogSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+
+// GeoJSON point for 2dsphere indexes. Coordinates are [longitude, latitude].
+const PointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: value => value.length === 2 &&
+        value[0] >= -180 && value[0] <= 180 &&
+        value[1] >= -90 && value[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Schema path for an optional location. Accepts a GeoJSON point or the older
+// { latitude, longitude } shape, which is converted on assignment.
+const pointPath = () => ({
+  type: PointSchema,
+  default: undefined,
+  set: value => toGeoPoint(value)
+});
+
+// Convert the point at a dotted path inside an update object, whether the
+// update names the path directly or sets one of its parent objects
+const convertUpdatePath = (update, path) => {
+  if (!update || typeof update !== 'object') return;
+
+  Object.keys(update).forEach(key => {
+    if (key === path) {
+      update[key] = toGeoPoint(update[key]) || null;
+    } else if (path.startsWith(`${key}.`)) {
+      convertUpdatePath(update[key], path.slice(key.length + 1));
+    }
+  });
+};
+
+// Setters do not run on subdocument paths in update queries, so convert
+// points in updates before they are cast
+const pointUpdatePlugin = (schema, { paths }) => {
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+    const update = this.getUpdate();
+    paths.forEach(path => {
+      convertUpdatePath(update, path);
+      convertUpdatePath(update && update.$set, path);
+    });
+    next();
+  });
+};
+
+module.exports = {
+  PointSchema,
+  pointPath,
+  pointUpdatePlugin
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const RobotType = require('./RobotType');
+const { pointPath, pointUpdatePlugin } = require('./PointSchema');
 
 const robotSchema = new mongoose.Schema({
   serialNumber: {
@@ -24,6 +26,30 @@ const robotSchema = new mongoose.Schema({
     ref: 'Customer',
     required: [true, 'Customer ID is required']
   },
+  robotType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RobotType'
+  },
+  ownershipHistory: [{
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true
+    },
+    from: {
+      type: Date,
+      required: true
+    },
+    to: Date,
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    transferredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   specifications: {
     type: {
       type: String,
@@ -70,6 +96,12 @@ const robotSchema = new mongoose.Schema({
     enum: ['active', 'maintenance', 'retired', 'offline'],
     default: 'active'
   },
+  // Set while the robot is in maintenance only because of open critical work
+  // orders, so closing them never overrides a status set by hand
+  heldForWorkOrders: {
+    type: Boolean,
+    default: false
+  },
   lastMaintenanceDate: Date,
   nextMaintenanceDate: {
     type: Date,
@@ -83,22 +115,22 @@ const robotSchema = new mongoose.Schema({
     building: String,
     floor: String,
     zone: String,
-    coordinates: {
-      latitude: Number,
-      longitude: Number
-    }
+    coordinates: pointPath()
   },
   operationalHours: {
     type: Number,
     default: 0,
     min: 0
   },
+  lastSeenAt: Date,
   alerts: [{
     type: {
       type: String,
-      enum: ['maintenance_due', 'battery_low', 'error', 'offline']
+      enum: ['maintenance_due', 'warranty_expiring', 'battery_low', 'error', 'offline', 'status_change']
     },
     message: String,
+    // Identifies the condition that raised the alert so sweeps don't repeat it
+    key: String,
     severity: {
       type: String,
       enum: ['low', 'medium', 'high', 'critical'],
@@ -111,12 +143,23 @@ const robotSchema = new mongoose.Schema({
     acknowledged: {
       type: Boolean,
       default: false
-    }
-  }]
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedAt: Date
+  }],
+  // Keys of the alert conditions that currently hold and were raised. Kept
+  // apart from alerts, which are trimmed, so a long-lasting condition is not
+  // raised again once its alert drops out of the list.
+  alertConditions: [String]
 }, {
   timestamps: true
 });
 
+robotSchema.plugin(pointUpdatePlugin, { paths: ['location.coordinates'] });
+
 // Indexes
 robotSchema.index({ serialNumber: 1 });
 robotSchema.index({ qrCode: 1 });
@@ -125,18 +168,24 @@ robotSchema.index({ status: 1 });
 robotSchema.index({ nextMaintenanceDate: 1 });
 robotSchema.index({ customerId: 1, status: 1 });
 robotSchema.index({ 'location.coordinates': '2dsphere' });
+robotSchema.index({ 'alerts._id': 1 });
+robotSchema.index({ 'alerts.acknowledged': 1, 'alerts.severity': 1 });
 
-// Virtual for maintenance status
-robotSchema.virtual('maintenanceStatus').get(function() {
+// Method to get maintenance status relative to a point in time
+robotSchema.methods.getMaintenanceStatus = function(now = new Date()) {
   if (!this.nextMaintenanceDate) return 'unknown';
   
-  const now = new Date();
   const daysUntilMaintenance = Math.ceil((this.nextMaintenanceDate - now) / (1000 * 60 * 60 * 24));
   
   if (daysUntilMaintenance < 0) return 'overdue';
   if (daysUntilMaintenance === 0) return 'due_today';
   if (daysUntilMaintenance <= 7) return 'due_soon';
   return 'scheduled';
+};
+
+// Virtual for maintenance status
+robotSchema.virtual('maintenanceStatus').get(function() {
+  return this.getMaintenanceStatus();
 });
 
 // Virtual for days until maintenance
@@ -149,7 +198,10 @@ robotSchema.virtual('daysUntilMaintenance').get(function() {
 
 // Method to add inspection to history
 robotSchema.methods.addInspection = function(inspectionId) {
-  this.maintenanceHistory.push(inspectionId);
+  // A reopened inspection that is completed again is only recorded once
+  if (!this.maintenanceHistory.some(id => id.equals(inspectionId))) {
+    this.maintenanceHistory.push(inspectionId);
+  }
   this.lastMaintenanceDate = new Date();
   
   // Calculate next maintenance date based on customer's maintenance frequency
@@ -162,9 +214,55 @@ robotSchema.methods.addInspection = function(inspectionId) {
   });
 };
 
+// Method to find the robot type, falling back to a match on model name for
+// robots created before they were linked to a type
+robotSchema.methods.getRobotType = function() {
+  if (this.robotType) {
+    return RobotType.findById(this.robotType);
+  }
+  return RobotType.findOne({ model: this.model, isActive: true });
+};
+
+// Method to move the robot to another customer, closing the current
+// ownership period and opening a new one (does not save)
+// When the current owner's period began. Robots that predate ownership
+// tracking are taken to have been owned since installation.
+robotSchema.methods.currentOwnershipStart = function() {
+  const current = this.ownershipHistory.find(entry => !entry.to);
+  if (current) return current.from;
+
+  return (this.specifications && this.specifications.installationDate) || this.createdAt;
+};
+
+robotSchema.methods.transferTo = function(customerId, { reason, transferredBy, date = new Date() }) {
+  const current = this.ownershipHistory.find(entry => !entry.to);
+
+  if (current) {
+    current.to = date;
+  } else {
+    // Robots that predate ownership tracking get their first period backfilled
+    this.ownershipHistory.push({
+      customer: this.customerId,
+      from: this.currentOwnershipStart() || date,
+      to: date
+    });
+  }
+
+  this.ownershipHistory.push({
+    customer: customerId,
+    from: date,
+    reason,
+    transferredBy
+  });
+  this.customerId = customerId;
+
+  return this;
+};
+
 // Method to update status
 robotSchema.methods.updateStatus = function(newStatus, reason) {
   this.status = newStatus;
+  this.heldForWorkOrders = false;
   
   if (reason) {
     this.alerts.push({
@@ -178,11 +276,12 @@ robotSchema.methods.updateStatus = function(newStatus, reason) {
 };
 
 // Method to add alert
-robotSchema.methods.addAlert = function(type, message, severity = 'medium') {
+robotSchema.methods.addAlert = function(type, message, severity = 'medium', key) {
   this.alerts.push({
     type,
     message,
-    severity
+    severity,
+    key
   });
   
   // Keep only last 50 alerts
@@ -194,15 +293,23 @@ robotSchema.methods.addAlert = function(type, message, severity = 'medium') {
 };
 
 // Method to acknowledge alert
-robotSchema.methods.acknowledgeAlert = function(alertId) {
+robotSchema.methods.acknowledgeAlert = function(alertId, userId) {
   const alert = this.alerts.id(alertId);
-  if (alert) {
+  if (alert && !alert.acknowledged) {
     alert.acknowledged = true;
+    alert.acknowledgedBy = userId;
+    alert.acknowledgedAt = new Date();
     return this.save();
   }
   return Promise.resolve(this);
 };
 
+// Method to check whether an alert was already raised for a condition. The
+// alert list also covers robots swept before conditions were recorded.
+robotSchema.methods.hasAlert = function(key) {
+  return this.alertConditions.includes(key) || this.alerts.some(alert => alert.key === key);
+};
+
 // Method to generate QR code
 robotSchema.methods.generateQRCode = function() {
   if (!this.qrCode) {
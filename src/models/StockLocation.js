@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A place parts are kept: the warehouse or a technician's van
+const stockLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'van'],
+    required: [true, 'Location type is required']
+  },
+  technician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.type === 'van'; }, 'Vans must be assigned to a technician']
+  },
+  stock: [{
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PartsCatalog',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Overrides the catalog reorder point at this location
+    reorderPoint: {
+      type: Number,
+      min: 0
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockLocationSchema.index({ type: 1 });
+stockLocationSchema.index({ technician: 1 }, { unique: true, partialFilterExpression: { type: 'van' } });
+stockLocationSchema.index({ 'stock.part': 1 });
+
+// Method to get quantity on hand for a part
+stockLocationSchema.methods.getQuantity = function(partId) {
+  const item = this.stock.find(entry => entry.part.equals(partId));
+  return item ? item.quantity : 0;
+};
+
+// Static method to find a technician's van
+stockLocationSchema.statics.findVan = function(technicianId) {
+  return this.findOne({ type: 'van', technician: technicianId, isActive: true });
+};
+
+module.exports = mongoose.model('StockLocation', stockLocationSchema);
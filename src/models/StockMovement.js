@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every change to stock levels
+const stockMovementSchema = new mongoose.Schema({
+  part: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PartsCatalog',
+    required: [true, 'Part is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: 1
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'transfer', 'consumption'],
+    required: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation'
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLocation'
+  },
+  inspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection'
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+stockMovementSchema.index({ part: 1, createdAt: -1 });
+stockMovementSchema.index({ fromLocation: 1, createdAt: -1 });
+stockMovementSchema.index({ toLocation: 1, createdAt: -1 });
+stockMovementSchema.index({ inspection: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
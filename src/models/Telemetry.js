@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS) || 180;
+
+// Robot readings stored in a MongoDB time-series collection, bucketed per robot
+const telemetrySchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required']
+  },
+  robot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Robot',
+    required: [true, 'Robot ID is required']
+  },
+  battery: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  operationalHours: {
+    type: Number,
+    min: 0
+  },
+  errorCodes: [String],
+  position: {
+    latitude: Number,
+    longitude: Number,
+    floor: String,
+    zone: String
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'robot',
+    granularity: 'minutes'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+const WINDOW_UNITS = { m: 'minute', h: 'hour', d: 'day' };
+const WINDOW_UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Most windows a single downsampled query may return
+const MAX_WINDOWS = parseInt(process.env.TELEMETRY_MAX_WINDOWS) || 2000;
+
+// Static method to count the windows a range splits into, e.g. 24 for a day in '1h'
+telemetrySchema.statics.countWindows = function(from, to, window = '1h') {
+  const windowMs = parseInt(window) * WINDOW_UNIT_MS[window.slice(-1)];
+  return Math.ceil((to - from) / windowMs);
+};
+
+telemetrySchema.statics.MAX_WINDOWS = MAX_WINDOWS;
+
+// Static method to get readings for a robot downsampled into fixed windows
+// window is a duration such as '15m', '1h' or '1d'
+telemetrySchema.statics.getDownsampled = function(robotId, { from, to, window = '1h' }) {
+  const binSize = parseInt(window);
+  const unit = WINDOW_UNITS[window.slice(-1)];
+
+  return this.aggregate([
+    {
+      $match: {
+        robot: robotId,
+        timestamp: { $gte: from, $lte: to }
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit, binSize } },
+        readings: { $sum: 1 },
+        batteryAvg: { $avg: '$battery' },
+        batteryMin: { $min: '$battery' },
+        batteryMax: { $max: '$battery' },
+        operationalHours: { $max: '$operationalHours' },
+        errorCodes: { $push: '$errorCodes' },
+        position: { $last: '$position' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        windowStart: '$_id',
+        readings: 1,
+        battery: {
+          avg: { $round: ['$batteryAvg', 1] },
+          min: '$batteryMin',
+          max: '$batteryMax'
+        },
+        operationalHours: 1,
+        errorCodes: {
+          $setUnion: [{
+            $reduce: {
+              input: '$errorCodes',
+              initialValue: [],
+              in: { $concatArrays: ['$$value', { $ifNull: ['$$this', []] }] }
+            }
+          }]
+        },
+        position: 1
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Telemetry', telemetrySchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const UPLOAD_SESSION_STATUSES = ['uploading', 'completing', 'completed'];
+
+// A resumable upload in progress. The content arrives in chunks, each stored
+// as its own object, and is assembled into a File once every byte is in.
+const uploadSessionSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader ID is required']
+  },
+  relatedTo: {
+    type: {
+      type: String,
+      enum: ['inspection', 'robot', 'customer', 'user'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  },
+  originalName: {
+    type: String,
+    required: [true, 'Original filename is required'],
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: 1
+  },
+  // SHA-256 of the whole file as computed by the client, checked on completion
+  checksum: {
+    type: String,
+    required: [true, 'Checksum is required'],
+    lowercase: true
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  // Chunks are kept in the backend that was active when the session started
+  storageBackend: {
+    type: String,
+    enum: ['local', 's3', 'memory'],
+    required: true
+  },
+  chunks: [{
+    _id: false,
+    offset: {
+      type: Number,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    storageLocation: {
+      type: String,
+      required: true
+    }
+  }],
+  receivedBytes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: UPLOAD_SESSION_STATUSES,
+    default: 'uploading'
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  // Pushed back on every chunk; expired sessions are garbage-collected
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+uploadSessionSchema.index({ uploadedBy: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Virtual for whether every byte has been received
+uploadSessionSchema.virtual('isFullyReceived').get(function() {
+  return this.receivedBytes === this.size;
+});
+
+uploadSessionSchema.statics.STATUSES = UPLOAD_SESSION_STATUSES;
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
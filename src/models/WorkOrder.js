@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const WORK_ORDER_STATUSES = ['open', 'in_progress', 'on_hold', 'completed', 'cancelled'];
+const OPEN_STATUSES = ['open', 'in_progress', 'on_hold'];
+
+// Follow-up work raised from a failed inspection item, or created by hand
+const workOrderSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Work order title is required'],
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: WORK_ORDER_STATUSES,
+    default: 'open'
+  },
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: WORK_ORDER_STATUSES
+    },
+    to: {
+      type: String,
+      enum: WORK_ORDER_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dueDate: Date,
+  inspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection'
+  },
+  robot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Robot',
+    required: [true, 'Robot ID is required']
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  // The inspection item that failed, e.g. 'checklist.chargingCheck' or
+  // 'maintenanceItems.<item _id>'. Unset for manually created work orders.
+  sourceItem: {
+    type: String,
+    trim: true
+  },
+  completedAt: Date,
+  resolution: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+workOrderSchema.index({ status: 1, priority: 1 });
+workOrderSchema.index({ assignee: 1, status: 1 });
+workOrderSchema.index({ robot: 1, status: 1 });
+workOrderSchema.index({ customer: 1 });
+workOrderSchema.index({ dueDate: 1 });
+// One work order per failed item on an inspection
+workOrderSchema.index(
+  { inspection: 1, sourceItem: 1 },
+  { unique: true, partialFilterExpression: { sourceItem: { $exists: true } } }
+);
+
+// Virtual for open state
+workOrderSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+// Virtual for overdue state
+workOrderSchema.virtual('isOverdue').get(function() {
+  return this.isOpen && Boolean(this.dueDate) && this.dueDate < new Date();
+});
+
+// Static method to check whether a robot has open critical work
+workOrderSchema.statics.hasOpenCritical = function(robotId, session) {
+  return this.exists({
+    robot: robotId,
+    priority: 'critical',
+    status: { $in: OPEN_STATUSES }
+  }).session(session || null);
+};
+
+workOrderSchema.statics.STATUSES = WORK_ORDER_STATUSES;
+workOrderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('WorkOrder', workOrderSchema);
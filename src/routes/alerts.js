@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getAlerts,
+  acknowledgeAlerts
+} = require('../controllers/alertController');
+const { authenticate } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', validate(schemas.alertQuery, 'query'), getAlerts);
+router.post('/acknowledge', validate(schemas.alertAcknowledge), acknowledgeAlerts);
+
+module.exports = router;
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Customer = require('../models/Customer');
 const { protect, authorize } = require('../middleware/auth');
-const { validateCustomer } = require('../middleware/validation');
+const { validate, schemas, validateCustomer } = require('../middleware/validation');
+const { nearPipeline } = require('../utils/geo');
+const { withCoordinates } = require('../services/geocoder');
 const logger = require('../utils/logger');
 
 // @desc    Get all customers
@@ -23,6 +25,44 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @desc    Get customers near a point
+// @route   GET /api/v1/customers/near?lat=&lng=&radius=&limit=
+// @access  Private
+router.get('/near', protect, validate(schemas.customerNearQuery, 'query'), async (req, res, next) => {
+  try {
+    const { lat, lng, radius, limit } = req.query;
+
+    const customers = await Customer.aggregate([
+      ...nearPipeline({
+        latitude: lat,
+        longitude: lng,
+        radiusKm: radius,
+        key: 'contactInfo.address.coordinates',
+        query: { isActive: true },
+        limit
+      }),
+      {
+        $project: {
+          companyName: 1,
+          contactInfo: 1,
+          serviceAgreement: 1,
+          robotCount: { $size: '$robots' },
+          distanceKm: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: customers.length,
+      data: customers
+    });
+  } catch (error) {
+    logger.error('Error searching customers near point:', error);
+    next(error);
+  }
+});
+
 // @desc    Get single customer
 // @route   GET /api/v1/customers/:id
 // @access  Private
@@ -52,6 +92,10 @@ router.get('/:id', protect, async (req, res, next) => {
 // @access  Private (Admin only)
 router.post('/', protect, authorize('admin'), async (req, res, next) => {
   try {
+    if (req.body.contactInfo) {
+      req.body.contactInfo.address = await withCoordinates(req.body.contactInfo.address);
+    }
+
     const customer = await Customer.create(req.body);
     
     logger.info(`Customer created: ${customer.companyName} by user ${req.user.id}`);
@@ -71,6 +115,11 @@ router.post('/', protect, authorize('admin'), async (req, res, next) => {
 // @access  Private (Admin only)
 router.put('/:id', protect, authorize('admin'), async (req, res, next) => {
   try {
+    // A changed address is geocoded again unless coordinates come with it
+    if (req.body.contactInfo && req.body.contactInfo.address) {
+      req.body.contactInfo.address = await withCoordinates(req.body.contactInfo.address);
+    }
+
     const customer = await Customer.findByIdAndUpdate(
       req.params.id,
       req.body,
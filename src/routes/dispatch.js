@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  getDispatchBoard,
+  updateRouteOrder,
+  reassignJob
+} = require('../controllers/dispatchController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Reordering and reassigning jobs is for dispatchers (admins)
+router.post('/reassign', authorize('admin'), validate(schemas.dispatchReassign), reassignJob);
+
+router.get(
+  '/:technicianId/:date',
+  validate(schemas.dispatchParams, 'params'),
+  validate(schemas.dispatchQuery, 'query'),
+  getDispatchBoard
+);
+router.put(
+  '/:technicianId/:date',
+  authorize('admin'),
+  validate(schemas.dispatchParams, 'params'),
+  validate(schemas.dispatchRouteOrder),
+  updateRouteOrder
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  uploadFiles,
+  getFiles,
+  getFileStats,
+  getFile,
+  downloadFile,
+  getSignedUrl,
+  addFileTags,
+  removeFileTag,
+  deleteFileRecord
+} = require('../controllers/fileController');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { uploadMultiple } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Downloads check access per file: public files and signed URLs need no token
+router.get('/:id/download', optionalAuth, validate(schemas.fileDownloadQuery, 'query'), downloadFile);
+
+// All other routes require authentication
+router.use(authenticate);
+
+router.post('/', uploadMultiple('files'), uploadFiles);
+router.get('/', validate(schemas.fileQuery, 'query'), getFiles);
+router.get('/stats', authorize('admin'), validate(schemas.fileStatsQuery, 'query'), getFileStats);
+
+router.get('/:id', getFile);
+router.get('/:id/signed-url', validate(schemas.fileSignedUrlQuery, 'query'), getSignedUrl);
+router.post('/:id/tags', validate(schemas.fileTags), addFileTags);
+router.delete('/:id/tags/:tag', removeFileTag);
+router.delete('/:id', deleteFileRecord);
+
+module.exports = router;
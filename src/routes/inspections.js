@@ -3,13 +3,25 @@ const router = express.Router();
 const {
   getInspections,
   getInspection,
+  getInspectionTemplate,
+  getInspectionReport,
   createInspection,
   updateInspection,
+  transitionInspectionStatus,
   deleteInspection,
   getInspectionsByRobot,
   getInspectionsByCustomer
 } = require('../controllers/inspectionController');
+const { installComponent, replaceComponent } = require('../controllers/componentController');
+const { recordPartsUsed } = require('../controllers/inventoryController');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  validate,
+  schemas,
+  validateInspection,
+  validateInspectionUpdate,
+  validateInspectionTransition
+} = require('../middleware/validation');
 
 // @desc    Get all inspections
 // @route   GET /api/v1/inspections
@@ -22,24 +34,54 @@ router.get('/', protect, getInspections);
 router.get('/robot/:robotSerial', protect, getInspectionsByRobot);
 
 // @desc    Get inspections by customer
-// @route   GET /api/v1/inspections/customer/:customerName
+// @route   GET /api/v1/inspections/customer/:customerId
 // @access  Private
-router.get('/customer/:customerName', protect, getInspectionsByCustomer);
+router.get('/customer/:customerId', protect, getInspectionsByCustomer);
 
 // @desc    Get single inspection
 // @route   GET /api/v1/inspections/:id
 // @access  Private
 router.get('/:id', protect, getInspection);
 
+// @desc    Get the template version an inspection was created from
+// @route   GET /api/v1/inspections/:id/template
+// @access  Private
+router.get('/:id/template', protect, getInspectionTemplate);
+
+// @desc    Get customer-ready PDF report for an inspection
+// @route   GET /api/v1/inspections/:id/report.pdf
+// @access  Private
+router.get('/:id/report.pdf', protect, getInspectionReport);
+
 // @desc    Create new inspection
 // @route   POST /api/v1/inspections
 // @access  Private
-router.post('/', protect, createInspection);
+router.post('/', protect, validateInspection, createInspection);
 
 // @desc    Update inspection
 // @route   PUT /api/v1/inspections/:id
 // @access  Private
-router.put('/:id', protect, updateInspection);
+router.put('/:id', protect, validateInspectionUpdate, updateInspection);
+
+// @desc    Transition inspection status
+// @route   POST /api/v1/inspections/:id/transitions
+// @access  Private (reopening is Admin only)
+router.post('/:id/transitions', protect, validateInspectionTransition, transitionInspectionStatus);
+
+// @desc    Install a component on the inspected robot
+// @route   POST /api/v1/inspections/:id/components
+// @access  Private
+router.post('/:id/components', protect, validate(schemas.componentInstall), installComponent);
+
+// @desc    Replace a component on the inspected robot
+// @route   POST /api/v1/inspections/:id/components/:componentId/replace
+// @access  Private
+router.post('/:id/components/:componentId/replace', protect, validate(schemas.componentReplace), replaceComponent);
+
+// @desc    Record parts consumed on an inspection
+// @route   POST /api/v1/inspections/:id/parts
+// @access  Private (assigned technician or Admin)
+router.post('/:id/parts', protect, validate(schemas.partsConsume), recordPartsUsed);
 
 // @desc    Delete inspection
 // @route   DELETE /api/v1/inspections/:id
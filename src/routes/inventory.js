@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getLocations,
+  getLocation,
+  createLocation,
+  createReceipt,
+  createTransfer,
+  getMovements,
+  getReorderSuggestionList
+} = require('../controllers/inventoryController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/locations', getLocations);
+router.post('/locations', authorize('admin'), validate(schemas.stockLocationCreate), createLocation);
+router.get('/locations/:id', getLocation);
+
+router.post('/receipts', authorize('admin'), validate(schemas.stockReceipt), createReceipt);
+// Technicians can transfer out of their own van only (checked in the service)
+router.post('/transfers', validate(schemas.stockTransfer), createTransfer);
+
+router.get('/movements', validate(schemas.movementQuery, 'query'), getMovements);
+router.get('/reorder-suggestions', getReorderSuggestionList);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getParts,
+  getPart,
+  createPart,
+  updatePart
+} = require('../controllers/partController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', validate(schemas.partQuery, 'query'), getParts);
+router.get('/:id', getPart);
+
+// Catalog maintenance is admin only
+router.post('/', authorize('admin'), validate(schemas.partCreate), createPart);
+router.put('/:id', authorize('admin'), validate(schemas.partUpdate), updatePart);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const {
   getRobotTypes,
   getRobotType,
+  getRobotTypeTemplates,
   createRobotType,
   updateRobotType,
   deleteRobotType
@@ -19,6 +20,11 @@ router.get('/', protect, getRobotTypes);
 // @access  Private
 router.get('/:id', protect, getRobotType);
 
+// @desc    Get template versions for a robot type
+// @route   GET /api/v1/robot-types/:id/templates
+// @access  Private
+router.get('/:id/templates', protect, getRobotTypeTemplates);
+
 // @desc    Create new robot type
 // @route   POST /api/v1/robot-types
 // @access  Private (Admin only)
@@ -3,38 +3,145 @@ const router = express.Router();
 const {
   getRobots,
   getRobot,
+  getRobotsNear,
   createRobot,
   updateRobot,
   deleteRobot,
-  getRobotsByCustomer
+  getRobotsByCustomer,
+  getRobotAlerts,
+  createRobotAlert,
+  acknowledgeRobotAlert,
+  getRobotQRCode,
+  getRobotByQRCode,
+  getCustomerRobotLabels,
+  importRobots,
+  transferRobot
 } = require('../controllers/robotController');
-const { protect, authorize } = require('../middleware/auth');
-const { validateRobot } = require('../middleware/validation');
+const { ingestTelemetry, getTelemetry } = require('../controllers/telemetryController');
+const { getRobotComponents } = require('../controllers/componentController');
+const {
+  getCredentials,
+  createCredential,
+  rotateCredential,
+  revokeCredential
+} = require('../controllers/deviceCredentialController');
+const { protect, authorize, authenticateDevice, authenticateUserOrDevice, deviceJson } = require('../middleware/auth');
+const {
+  validate,
+  schemas,
+  validateRobot,
+  validateRobotUpdate,
+  validateRobotAlert,
+  validateRobotTransfer
+} = require('../middleware/validation');
+const { uploadSpreadsheet } = require('../middleware/upload');
 
 // @desc    Get all robots
 // @route   GET /api/v1/robots
 // @access  Private
 router.get('/', protect, getRobots);
 
+// @desc    Get robots near a point
+// @route   GET /api/v1/robots/near
+// @access  Private
+router.get('/near', protect, validate(schemas.robotNearQuery, 'query'), getRobotsNear);
+
 // @desc    Get robots by customer
 // @route   GET /api/v1/robots/customer/:customerId
 // @access  Private
 router.get('/customer/:customerId', protect, getRobotsByCustomer);
 
+// @desc    Import robots for a customer from a CSV or XLSX file
+// @route   POST /api/v1/robots/import?dryRun=true
+// @access  Private (Admin only)
+router.post('/import', protect, authorize('admin'), uploadSpreadsheet('file'), importRobots);
+
+// @desc    Get printable QR label sheet for a customer's robots
+// @route   GET /api/v1/robots/customer/:customerId/labels.pdf
+// @access  Private
+router.get('/customer/:customerId/labels.pdf', protect, getCustomerRobotLabels);
+
+// @desc    Look up a robot by scanned QR code
+// @route   GET /api/v1/robots/by-qr/:code
+// @access  Private
+router.get('/by-qr/:code', protect, getRobotByQRCode);
+
+// @desc    Get robot QR code image
+// @route   GET /api/v1/robots/:id/qr.png
+// @route   GET /api/v1/robots/:id/qr.svg
+// @access  Private
+router.get('/:id/qr.:format(png|svg)', protect, getRobotQRCode);
+
 // @desc    Get single robot
 // @route   GET /api/v1/robots/:id
 // @access  Private
 router.get('/:id', protect, getRobot);
 
+// @desc    Get bill of materials for a robot
+// @route   GET /api/v1/robots/:id/components
+// @access  Private
+router.get('/:id/components', protect, getRobotComponents);
+
+// @desc    Get robot alerts
+// @route   GET /api/v1/robots/:id/alerts
+// @access  Private
+router.get('/:id/alerts', protect, getRobotAlerts);
+
+// @desc    Raise alert on robot
+// @route   POST /api/v1/robots/:id/alerts
+// @access  Private (user or device with alerts:write)
+router.post('/:id/alerts', deviceJson, authenticateUserOrDevice('alerts:write'), validateRobotAlert, createRobotAlert);
+
+// @desc    Acknowledge robot alert
+// @route   PUT /api/v1/robots/:id/alerts/:alertId/acknowledge
+// @access  Private
+router.put('/:id/alerts/:alertId/acknowledge', protect, acknowledgeRobotAlert);
+
+// @desc    Ingest a batch of telemetry readings from a robot
+// @route   POST /api/v1/robots/:serial/telemetry
+// @access  Device (telemetry:write)
+router.post('/:serial/telemetry', deviceJson, authenticateDevice('telemetry:write'), validate(schemas.telemetryBatch), ingestTelemetry);
+
+// @desc    Get downsampled telemetry for a robot
+// @route   GET /api/v1/robots/:serial/telemetry
+// @access  Private
+router.get('/:serial/telemetry', protect, validate(schemas.telemetryQuery, 'query'), getTelemetry);
+
+// @desc    Get device credentials for a robot
+// @route   GET /api/v1/robots/:id/credentials
+// @access  Private (Admin only)
+router.get('/:id/credentials', protect, authorize('admin'), getCredentials);
+
+// @desc    Issue a device credential for a robot
+// @route   POST /api/v1/robots/:id/credentials
+// @access  Private (Admin only)
+router.post('/:id/credentials', protect, authorize('admin'), validate(schemas.deviceCredentialCreate), createCredential);
+
+// @desc    Rotate a device credential's secret
+// @route   POST /api/v1/robots/:id/credentials/:credentialId/rotate
+// @access  Private (Admin only)
+router.post('/:id/credentials/:credentialId/rotate', protect, authorize('admin'), rotateCredential);
+
+// @desc    Revoke a device credential
+// @route   DELETE /api/v1/robots/:id/credentials/:credentialId
+// @access  Private (Admin only)
+router.delete('/:id/credentials/:credentialId', protect, authorize('admin'), revokeCredential);
+
 // @desc    Create new robot
 // @route   POST /api/v1/robots
 // @access  Private (Admin only)
-router.post('/', protect, authorize('admin'), createRobot);
+router.post('/', protect, authorize('admin'), validateRobot, createRobot);
 
 // @desc    Update robot
 // @route   PUT /api/v1/robots/:id
 // @access  Private (Admin only)
-router.put('/:id', protect, authorize('admin'), updateRobot);
+// Ownership changes go through the transfer endpoint below
+router.put('/:id', protect, authorize('admin'), validateRobotUpdate, updateRobot);
+
+// @desc    Transfer robot to another customer
+// @route   POST /api/v1/robots/:id/transfer
+// @access  Private (Admin only)
+router.post('/:id/transfer', protect, authorize('admin'), validateRobotTransfer, transferRobot);
 
 // @desc    Delete robot
 // @route   DELETE /api/v1/robots/:id
@@ -0,0 +1,38 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  abortUploadSession
+} = require('../controllers/uploadSessionController');
+const { authenticate } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// A large file is uploaded in many chunks, so chunk uploads are exempt from
+// the global per-IP limit and counted per user here instead
+const chunkLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.UPLOAD_CHUNK_RATE_LIMIT_MAX) || 2000,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many upload chunks, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.post('/', validate(schemas.uploadSessionCreate), createUploadSession);
+router.get('/:id', getUploadSession);
+router.put('/:id/chunks', chunkLimiter, validate(schemas.uploadChunkQuery, 'query'), uploadChunk);
+router.post('/:id/complete', completeUploadSession);
+router.delete('/:id', abortUploadSession);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { downloadUpload } = require('../controllers/fileController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Upload URLs issued before downloads moved behind /api/v1/files keep
+// working, with the same access checks as the download route
+router.get('/*', optionalAuth, downloadUpload);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getWorkOrders,
+  getWorkOrder,
+  createWorkOrder,
+  updateWorkOrder,
+  transitionWorkOrderStatus
+} = require('../controllers/workOrderController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', validate(schemas.workOrderQuery, 'query'), getWorkOrders);
+router.get('/:id', getWorkOrder);
+router.post('/:id/transitions', validate(schemas.workOrderTransition), transitionWorkOrderStatus);
+
+// Creating and reassigning work orders is admin only
+router.post('/', authorize('admin'), validate(schemas.workOrderCreate), createWorkOrder);
+router.put('/:id', authorize('admin'), validate(schemas.workOrderUpdate), updateWorkOrder);
+
+module.exports = router;
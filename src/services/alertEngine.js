@@ -0,0 +1,156 @@
+const Robot = require('../models/Robot');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = parseInt(process.env.ALERT_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+const WARRANTY_WARNING_DAYS = parseInt(process.env.ALERT_WARRANTY_WARNING_DAYS) || 30;
+const OFFLINE_AFTER_HOURS = parseInt(process.env.ALERT_OFFLINE_AFTER_HOURS) || 24;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Each rule inspects a robot and returns the alerts it should carry right now.
+// The key identifies the condition, so an alert is raised once per condition
+// even after it has been acknowledged.
+const rules = [
+  // Maintenance due, escalating as the due date approaches and passes
+  function maintenanceDue(robot, now) {
+    const status = robot.getMaintenanceStatus(now);
+    const severities = { due_soon: 'low', due_today: 'medium', overdue: 'high' };
+
+    if (!severities[status]) return [];
+
+    const dueDate = dayKey(robot.nextMaintenanceDate);
+    const message = status === 'overdue'
+      ? `Maintenance overdue since ${dueDate}`
+      : `Maintenance due on ${dueDate}`;
+
+    return [{
+      type: 'maintenance_due',
+      message,
+      severity: severities[status],
+      key: `maintenance_due:${dueDate}:${status}`
+    }];
+  },
+
+  // Warranty about to expire or already expired
+  function warrantyExpiry(robot, now) {
+    const expiration = robot.specifications && robot.specifications.warrantyExpiration;
+    if (!expiration) return [];
+
+    const daysLeft = Math.ceil((expiration - now) / DAY_MS);
+    if (daysLeft > WARRANTY_WARNING_DAYS) return [];
+
+    const expired = daysLeft < 0;
+    return [{
+      type: 'warranty_expiring',
+      message: expired
+        ? `Warranty expired on ${dayKey(expiration)}`
+        : `Warranty expires in ${daysLeft} days on ${dayKey(expiration)}`,
+      severity: expired ? 'high' : 'medium',
+      key: `warranty_expiring:${dayKey(expiration)}:${expired ? 'expired' : 'expiring'}`
+    }];
+  },
+
+  // Robot has not reported in; robots that never reported are left alone
+  function offline(robot, now) {
+    if (!robot.lastSeenAt) return [];
+
+    const hoursSilent = (now - robot.lastSeenAt) / HOUR_MS;
+    if (hoursSilent < OFFLINE_AFTER_HOURS) return [];
+
+    return [{
+      type: 'offline',
+      message: `No report from robot since ${robot.lastSeenAt.toISOString()}`,
+      severity: 'high',
+      key: `offline:${robot.lastSeenAt.toISOString()}`
+    }];
+  }
+];
+
+// Evaluate every rule against a robot and raise alerts not seen before
+const evaluateRobot = async (robot, now) => {
+  const current = rules.flatMap(rule => rule(robot, now));
+  const raised = current.filter(alert => !robot.hasAlert(alert.key));
+
+  // Remember the conditions that hold now; ended ones are dropped so the
+  // list stays as short as the rules' output
+  const keys = current.map(alert => alert.key);
+  const changed = keys.length !== robot.alertConditions.length ||
+    keys.some((key, i) => key !== robot.alertConditions[i]);
+  if (changed) {
+    robot.alertConditions = keys;
+  }
+
+  for (const alert of raised) {
+    await robot.addAlert(alert.type, alert.message, alert.severity, alert.key);
+  }
+  if (changed && raised.length === 0) {
+    await robot.save();
+  }
+
+  return raised;
+};
+
+// Sweep all robots in service and raise any new alerts. `now` is injectable
+// so sweeps can run against a fake clock.
+const runAlertSweep = async ({ now = new Date() } = {}) => {
+  const robots = await Robot.find({ status: { $ne: 'retired' } });
+
+  const result = {
+    ranAt: now,
+    scanned: robots.length,
+    raised: []
+  };
+
+  for (const robot of robots) {
+    try {
+      const raised = await evaluateRobot(robot, now);
+      raised.forEach(alert => {
+        result.raised.push({ robot: robot._id, serialNumber: robot.serialNumber, ...alert });
+      });
+    } catch (error) {
+      logger.error(`Alert sweep failed for robot ${robot.serialNumber}:`, error);
+    }
+  }
+
+  logger.info('Alert sweep finished', { scanned: result.scanned, raised: result.raised.length });
+
+  return result;
+};
+
+// Run the alert sweep in-process on an interval. Returns a function that stops it.
+const startAlertEngine = ({
+  intervalMs = DEFAULT_INTERVAL_MS,
+  clock = () => new Date()
+} = {}) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+    try {
+      await runAlertSweep({ now: clock() });
+    } catch (error) {
+      logger.error('Alert sweep failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  logger.info(`Alert engine started (every ${intervalMs}ms)`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  rules,
+  evaluateRobot,
+  runAlertSweep,
+  startAlertEngine
+};
@@ -0,0 +1,221 @@
+const Inspection = require('../models/Inspection');
+const User = require('../models/User');
+const { optimizeRoute, describeRoute } = require('./routePlanner');
+const { toPoint } = require('../utils/geo');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISPATCHABLE_STATUSES = ['scheduled', 'in_progress'];
+const DEFAULT_TIMEZONE = process.env.DISPATCH_TIMEZONE || 'UTC';
+
+// Milliseconds the wall clock in timeZone is ahead of UTC at the given instant
+const zoneOffset = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+};
+
+// UTC instant of local midnight. The offset is taken again at the first guess
+// so days starting next to a DST change land on the right side of it.
+const localMidnight = (utcMidnight, timeZone) => {
+  const guess = utcMidnight - zoneOffset(utcMidnight, timeZone);
+  return new Date(utcMidnight - zoneOffset(guess, timeZone));
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Bounds of a YYYY-MM-DD day in the given IANA time zone. Days next to a DST
+// change are 23 or 25 hours long.
+const dayRange = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const utcMidnight = new Date(`${date}T00:00:00.000Z`).getTime();
+  if (Number.isNaN(utcMidnight)) {
+    throw new AppError('Date must be in YYYY-MM-DD format', 400, 'INVALID_DATE');
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new AppError(`Unknown time zone: ${timeZone}`, 400, 'INVALID_TIMEZONE');
+  }
+
+  return {
+    start: localMidnight(utcMidnight, timeZone),
+    end: localMidnight(utcMidnight + DAY_MS, timeZone)
+  };
+};
+
+const findTechnician = async (technicianId) => {
+  const technician = await User.findOne({ _id: technicianId, role: 'technician', isActive: true })
+    .select('name email role');
+  if (!technician) {
+    throw new AppError('Technician not found', 404, 'TECHNICIAN_NOT_FOUND');
+  }
+  return technician;
+};
+
+const findDayInspections = (technicianId, date, timeZone) => {
+  const { start, end } = dayRange(date, timeZone);
+  return Inspection.find({
+    technician: technicianId,
+    date: { $gte: start, $lt: end },
+    status: { $in: DISPATCHABLE_STATUSES }
+  });
+};
+
+// Where a job takes place: the robot's own position, else its customer's address
+const stopLocation = (inspection) => {
+  const robot = inspection.robot || {};
+  const customer = inspection.customer || {};
+  const address = (customer.contactInfo && customer.contactInfo.address) || {};
+
+  return toPoint(robot.location && robot.location.coordinates) || toPoint(address.coordinates);
+};
+
+const toStop = (inspection) => ({
+  inspection: {
+    _id: inspection._id,
+    date: inspection.date,
+    status: inspection.status,
+    routeOrder: inspection.routeOrder
+  },
+  robot: inspection.robot && {
+    _id: inspection.robot._id,
+    serialNumber: inspection.robot.serialNumber,
+    model: inspection.robot.model,
+    location: inspection.robot.location
+  },
+  customer: inspection.customer && {
+    _id: inspection.customer._id,
+    companyName: inspection.customer.companyName,
+    address: inspection.customer.contactInfo && inspection.customer.contactInfo.address,
+    phone: inspection.customer.contactInfo && inspection.customer.contactInfo.phone
+  }
+});
+
+// Build a technician's route for a day. A dispatcher's saved order is kept
+// unless optimize is requested; otherwise stops are ordered by the route
+// planner. Jobs without coordinates are listed separately as unrouted.
+const getDispatchBoard = async (technicianId, date, { optimize = false, start, timeZone = DEFAULT_TIMEZONE } = {}) => {
+  const technician = await findTechnician(technicianId);
+
+  const inspections = await findDayInspections(technicianId, date, timeZone)
+    .populate('robot', 'serialNumber model location')
+    .populate('customer', 'companyName contactInfo.address contactInfo.phone')
+    .sort({ routeOrder: 1, date: 1 });
+
+  const routable = [];
+  const points = [];
+  const unrouted = [];
+
+  inspections.forEach(inspection => {
+    const point = stopLocation(inspection);
+    if (point) {
+      routable.push(inspection);
+      points.push(point);
+    } else {
+      unrouted.push(toStop(inspection));
+    }
+  });
+
+  const manual = !optimize && routable.length > 0 &&
+    routable.every(inspection => typeof inspection.routeOrder === 'number');
+
+  // Inspections are already sorted by routeOrder for a manual route
+  const order = manual ? routable.map((inspection, index) => index) : optimizeRoute(points, start);
+  const route = describeRoute(order, points, start);
+
+  const stops = route.legs.map((leg, sequence) => ({
+    sequence: sequence + 1,
+    ...toStop(routable[leg.index]),
+    coordinates: points[leg.index],
+    distanceKm: leg.distanceKm,
+    travelMinutes: leg.travelMinutes
+  }));
+
+  return {
+    technician,
+    date,
+    timeZone,
+    ordering: manual ? 'manual' : 'optimized',
+    start: start || null,
+    stops,
+    unrouted,
+    totalDistanceKm: route.totalDistanceKm,
+    totalTravelMinutes: route.totalTravelMinutes
+  };
+};
+
+// Save a dispatcher's stop order. The list must cover exactly the technician's
+// jobs for the day.
+const setRouteOrder = async (technicianId, date, inspectionIds, timeZone = DEFAULT_TIMEZONE) => {
+  await findTechnician(technicianId);
+
+  const inspections = await findDayInspections(technicianId, date, timeZone).select('_id');
+  const onBoard = new Set(inspections.map(inspection => inspection._id.toString()));
+  const requested = new Set(inspectionIds);
+
+  if (requested.size !== inspectionIds.length ||
+    requested.size !== onBoard.size ||
+    inspectionIds.some(id => !onBoard.has(id))) {
+    throw new AppError(
+      'Route order must list each of the technician\'s inspections for the day exactly once',
+      400,
+      'ROUTE_MISMATCH'
+    );
+  }
+
+  await Inspection.bulkWrite(inspectionIds.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { routeOrder: index + 1 } }
+    }
+  })));
+};
+
+// Move a scheduled job to another technician, optionally on another day.
+// The job drops out of any saved route order.
+const reassignInspection = async (inspectionId, { technicianId, date }) => {
+  const inspection = await Inspection.findById(inspectionId);
+  if (!inspection) {
+    throw new AppError('Inspection not found', 404, 'INSPECTION_NOT_FOUND');
+  }
+
+  if (inspection.status !== 'scheduled') {
+    throw new AppError('Only scheduled inspections can be reassigned', 409, 'INSPECTION_NOT_SCHEDULED');
+  }
+
+  const technician = await findTechnician(technicianId);
+
+  inspection.technician = technician._id;
+  if (date) {
+    inspection.date = date;
+  }
+  inspection.routeOrder = undefined;
+
+  return inspection.save();
+};
+
+module.exports = {
+  dayRange,
+  isValidTimeZone,
+  getDispatchBoard,
+  setRouteOrder,
+  reassignInspection
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const Inspection = require('../models/Inspection');
+const Robot = require('../models/Robot');
+const Customer = require('../models/Customer');
+
+const DEFAULT_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS) || 15 * 60;
+const MAX_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Anyone could forge download links with an empty key, so refuse to start
+const SIGNING_KEY = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+if (!SIGNING_KEY) {
+  throw new Error('FILE_URL_SECRET or JWT_SECRET must be set to sign file download URLs');
+}
+
+const sign = (fileId, expires) => crypto
+  .createHmac('sha256', SIGNING_KEY)
+  .update(`${fileId}:${expires}`)
+  .digest('hex');
+
+// Path of the authorized download route for a file
+const fileDownloadPath = (fileId) => `/api/v1/files/${fileId}/download`;
+
+// Absolute download URL for a file, for storing on File documents
+const fileDownloadUrl = (req, fileId) => `${req.protocol}://${req.get('host')}${fileDownloadPath(fileId)}`;
+
+// Technicians assigned to the customer may see its files
+const isAssignedToCustomer = async (user, customerId) => {
+  if (!customerId) return false;
+  return Boolean(await Customer.exists({ _id: customerId, assignedTechnicians: user._id }));
+};
+
+// Whether a user may read files belonging to an entity
+const canAccessRelated = async (user, { type, id }) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  switch (type) {
+    case 'user':
+      return id.equals(user._id);
+    case 'customer':
+      return isAssignedToCustomer(user, id);
+    case 'robot': {
+      const robot = await Robot.findById(id).select('customerId');
+      return Boolean(robot) && isAssignedToCustomer(user, robot.customerId);
+    }
+    case 'inspection': {
+      const inspection = await Inspection.findById(id).select('technician customer');
+      if (!inspection) return false;
+      return inspection.technician.equals(user._id) || isAssignedToCustomer(user, inspection.customer);
+    }
+    default:
+      return false;
+  }
+};
+
+// Whether a user may read a file. The uploader always can; otherwise access
+// follows the entity the file belongs to.
+const canAccessFile = async (user, file) => {
+  if (!user) return false;
+  if (file.uploadedBy && file.uploadedBy.equals(user._id)) return true;
+  return canAccessRelated(user, file.relatedTo);
+};
+
+// Create an expiring signed download URL (path and query) for a file
+const signFileUrl = (fileId, { ttlSeconds = DEFAULT_URL_TTL_SECONDS } = {}) => {
+  const ttl = Math.min(ttlSeconds, MAX_URL_TTL_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+
+  return {
+    url: `${fileDownloadPath(fileId)}?expires=${expires}&signature=${sign(fileId, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check a signed URL's expiry and signature for a file
+const verifyFileSignature = (fileId, expires, signature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || !signature || expiresAt * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(sign(String(fileId), expiresAt));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+  MAX_URL_TTL_SECONDS,
+  fileDownloadPath,
+  fileDownloadUrl,
+  canAccessRelated,
+  canAccessFile,
+  signFileUrl,
+  verifyFileSignature
+};
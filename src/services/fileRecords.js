@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Inspection = require('../models/Inspection');
+const Robot = require('../models/Robot');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { isProcessableImage, processImage, deleteVariants } = require('./imageProcessing');
+const { fileDownloadUrl, canAccessRelated } = require('./fileAccess');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const RELATED_MODELS = {
+  inspection: Inspection,
+  robot: Robot,
+  customer: Customer,
+  user: User
+};
+
+// The entity new files are attached to, once it exists and the user may see it
+const resolveRelated = async (user, relatedType, relatedId) => {
+  const related = await RELATED_MODELS[relatedType].exists({ _id: relatedId });
+  if (!related) {
+    throw new AppError(`Related ${relatedType} not found`, 404, 'RELATED_NOT_FOUND');
+  }
+
+  const relatedTo = { type: relatedType, id: new mongoose.Types.ObjectId(relatedId) };
+  if (!await canAccessRelated(user, relatedTo)) {
+    throw new AppError(`You do not have access to this ${relatedType}`, 403, 'FILE_ACCESS_DENIED');
+  }
+  return relatedTo;
+};
+
+// Images get their metadata and variants filled in. A photo that cannot be
+// processed, or is too large to, is still kept as uploaded.
+const processUploadedImage = async (upload, { isPublic }) => {
+  if (!isProcessableImage(upload.mimetype, upload.size)) return null;
+
+  try {
+    return await processImage(upload, { isPublic });
+  } catch (error) {
+    logger.warn('Could not process uploaded image', { file: upload.originalname, error: error.message });
+    return null;
+  }
+};
+
+// Build the File document for content already written to storage. `upload`
+// has the shape of a multer file from the upload middleware; any variants
+// generated are recorded on it so discardUpload can remove them.
+const buildFileRecord = async (req, upload, { relatedTo, isPublic, tags, description }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const adapter = getStorage(upload.storageBackend);
+  const downloadUrl = fileDownloadUrl(req, _id);
+
+  const image = await processUploadedImage(upload, { isPublic });
+  upload.variants = image && image.variants;
+
+  // Originals are never published directly: images can carry the site's GPS
+  // position in their EXIF data. Public images link to their web variant.
+  const publicUrl = isPublic && image && adapter.publicUrl(image.variants.web.storageLocation);
+  const publicThumbnailUrl = isPublic && image &&
+    adapter.publicUrl(image.variants.thumbnail.storageLocation);
+
+  return {
+    _id,
+    filename: upload.filename,
+    originalName: upload.originalname,
+    mimeType: upload.mimetype,
+    size: image?.size || upload.size,
+    uploadedBy: req.user._id,
+    relatedTo,
+    metadata: {
+      checksum: upload.checksum,
+      ...image?.metadata
+    },
+    storageBackend: upload.storageBackend,
+    storageLocation: upload.storageLocation,
+    url: publicUrl || downloadUrl,
+    thumbnailUrl: image ? publicThumbnailUrl || `${downloadUrl}?variant=thumbnail` : undefined,
+    variants: image?.variants,
+    isPublic,
+    tags,
+    description
+  };
+};
+
+// Remove stored content that no File document ended up referencing
+const discardUpload = (upload) => Promise.all([
+  getStorage(upload.storageBackend).delete(upload.storageLocation),
+  deleteVariants(upload)
+]).catch(error => {
+  logger.warn('Could not remove discarded upload', { storageLocation: upload.storageLocation, error: error.message });
+});
+
+module.exports = {
+  RELATED_MODELS,
+  resolveRelated,
+  buildFileRecord,
+  discardUpload
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { toGeoPoint } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const DEFAULT_ZIP_TABLE = path.join(__dirname, '..', 'data', 'zipCentroids.csv');
+const US_COUNTRY_NAMES = ['united states', 'united states of america', 'usa', 'us'];
+
+// Local provider: resolves US addresses to the centroid of their ZIP code.
+// The bundled table is derived from the zipcodes package dataset (BSD licence).
+// Precision is only ever 'zip', which is enough for maps and route planning.
+const createZipCentroidProvider = ({ tablePath = process.env.GEOCODER_ZIP_TABLE || DEFAULT_ZIP_TABLE } = {}) => {
+  let table = null;
+
+  // Load the table on first use; it holds ~40k rows
+  const load = () => {
+    if (table) return table;
+
+    table = new Map();
+    fs.readFileSync(tablePath, 'utf8').split('\n').slice(1).forEach(line => {
+      const [zip, latitude, longitude] = line.split(',');
+      if (zip) {
+        table.set(zip, { latitude: parseFloat(latitude), longitude: parseFloat(longitude) });
+      }
+    });
+
+    return table;
+  };
+
+  return {
+    name: 'local',
+
+    async geocode(address) {
+      const country = (address.country || 'United States').trim().toLowerCase();
+      if (!US_COUNTRY_NAMES.includes(country)) {
+        return null;
+      }
+
+      const zip = String(address.zipCode || '').trim().slice(0, 5);
+      const centroid = load().get(zip);
+      if (!centroid) {
+        return null;
+      }
+
+      return { ...centroid, precision: 'zip' };
+    }
+  };
+};
+
+// Providers by name. An external provider is a factory returning an object
+// with a name and an async geocode(address) resolving to
+// { latitude, longitude, precision } or null when the address is not found.
+const providers = {
+  local: createZipCentroidProvider
+};
+
+let geocoder = null;
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+// The configured provider, created on first use
+const getGeocoder = () => {
+  if (geocoder) return geocoder;
+
+  const name = process.env.GEOCODER_PROVIDER || 'local';
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown geocoding provider '${name}'`);
+  }
+
+  geocoder = factory();
+  return geocoder;
+};
+
+// Replace the active provider, e.g. with a stub in tests
+const setGeocoder = (provider) => {
+  geocoder = provider;
+};
+
+// Geocode an address to a GeoJSON point plus how it was resolved. Resolves
+// with null when the address cannot be resolved; provider errors are logged
+// and treated the same way so a failed lookup never blocks a save.
+const geocodeAddress = async (address) => {
+  if (!address || !address.zipCode) return null;
+
+  const provider = getGeocoder();
+
+  try {
+    const result = await provider.geocode(address);
+    const point = result && toGeoPoint(result);
+    if (!point) return null;
+
+    return {
+      coordinates: point,
+      geocode: {
+        provider: provider.name,
+        precision: result.precision,
+        geocodedAt: new Date()
+      }
+    };
+  } catch (error) {
+    logger.error(`Geocoding failed with provider ${provider.name}:`, error);
+    return null;
+  }
+};
+
+// Fill in coordinates on an address that was submitted without them. Addresses
+// that already carry coordinates are returned unchanged.
+const withCoordinates = async (address) => {
+  if (!address || address.coordinates) return address;
+
+  const result = await geocodeAddress(address);
+  return result ? { ...address, ...result } : address;
+};
+
+module.exports = {
+  createZipCentroidProvider,
+  registerProvider,
+  getGeocoder,
+  setGeocoder,
+  geocodeAddress,
+  withCoordinates
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { PUBLIC_KEY_PREFIX, getStorage, readFile } = require('./storage');
+const logger = require('../utils/logger');
+
+// Formats sharp can read and that technicians' cameras and phones produce
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/gif'];
+
+// Derived images, bounded to fit inside size x size. Variants are re-encoded
+// without any EXIF data, so they never carry the GPS position of the site.
+const VARIANTS = {
+  thumbnail: { size: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 320, quality: 70 },
+  web: { size: parseInt(process.env.IMAGE_WEB_SIZE) || 1600, quality: 80 }
+};
+
+// Originals above this size are re-encoded at IMAGE_RECOMPRESS_QUALITY;
+// unset or 0 keeps originals byte for byte
+const RECOMPRESS_ABOVE_BYTES = parseInt(process.env.IMAGE_RECOMPRESS_ABOVE_BYTES) || 0;
+const RECOMPRESS_QUALITY = parseInt(process.env.IMAGE_RECOMPRESS_QUALITY) || 85;
+
+// Only lossy formats gain from re-encoding at a lower quality
+const RECOMPRESSIBLE_FORMATS = ['jpeg', 'webp'];
+
+// Images are decoded in memory, so larger uploads (resumable uploads can be
+// gigabytes) are stored as they are, without metadata or variants
+const MAX_PROCESS_BYTES = parseInt(process.env.IMAGE_PROCESS_MAX_BYTES) || 50 * 1024 * 1024;
+// Bounds the decoded size of small files that expand to huge images
+const MAX_INPUT_PIXELS = parseInt(process.env.IMAGE_MAX_INPUT_PIXELS) || 100 * 1000 * 1000;
+
+const isProcessableImage = (mimeType, size) => PROCESSABLE_TYPES.includes(mimeType) && size <= MAX_PROCESS_BYTES;
+
+const decode = (buffer) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+// EXIF stores GPS positions as [degrees, minutes, seconds] plus a hemisphere
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(value => !Number.isFinite(value))) {
+    return undefined;
+  }
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e6) / 1e6;
+};
+
+const formatShutterSpeed = (seconds) => {
+  if (!seconds) return undefined;
+  return seconds >= 1 ? `${seconds}s` : `1/${Math.round(1 / seconds)}s`;
+};
+
+const parseExif = (buffer) => {
+  if (!buffer) return null;
+  try {
+    return exifReader(buffer);
+  } catch (error) {
+    logger.warn('Could not parse image EXIF data', { error: error.message });
+    return null;
+  }
+};
+
+// Map sharp's metadata and the parsed EXIF tags onto File.metadata
+const extractMetadata = (info, exif) => {
+  // Orientations 5-8 are rotated by 90 degrees, so width and height swap
+  const rotated = info.orientation >= 5;
+  const metadata = {
+    dimensions: {
+      width: rotated ? info.height : info.width,
+      height: rotated ? info.width : info.height
+    }
+  };
+
+  if (!exif) return metadata;
+
+  const { Image: image = {}, Photo: photo = {}, GPSInfo: gps = {} } = exif;
+
+  const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+  if (latitude !== undefined && longitude !== undefined) {
+    metadata.location = { latitude, longitude };
+  }
+
+  if (image.Make || image.Model || photo.ISOSpeedRatings || photo.FNumber || photo.ExposureTime) {
+    const iso = Array.isArray(photo.ISOSpeedRatings) ? photo.ISOSpeedRatings[0] : photo.ISOSpeedRatings;
+    metadata.camera = {
+      make: image.Make ? image.Make.trim() : undefined,
+      model: image.Model ? image.Model.trim() : undefined,
+      settings: {
+        iso,
+        aperture: photo.FNumber ? `f/${photo.FNumber}` : undefined,
+        shutterSpeed: formatShutterSpeed(photo.ExposureTime),
+        // Bit 0 of the Flash tag records whether the flash fired
+        flash: photo.Flash === undefined ? undefined : Boolean(photo.Flash & 1)
+      }
+    };
+  }
+
+  return metadata;
+};
+
+// Re-encode a large original in its own format, keeping its EXIF data since
+// the original is only served to users with access to the file
+const recompress = async (buffer, info) => {
+  if (!RECOMPRESS_ABOVE_BYTES || buffer.length <= RECOMPRESS_ABOVE_BYTES ||
+      !RECOMPRESSIBLE_FORMATS.includes(info.format)) {
+    return null;
+  }
+
+  const output = await decode(buffer)
+    .keepMetadata()
+    .toFormat(info.format, { quality: RECOMPRESS_QUALITY })
+    .toBuffer();
+
+  return output.length < buffer.length ? output : null;
+};
+
+const renderVariant = async (buffer, { size, quality }) => {
+  const { data, info } = await decode(buffer)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+// Key for a variant. Private variants sit next to the original, e.g.
+// images/.../photo_123_thumbnail.jpg. Public ones go under the public prefix
+// with a random name, so a published variant URL says nothing about where
+// the original, EXIF data and all, is stored.
+const variantKey = (key, name, { isPublic, token }) => {
+  if (isPublic) {
+    return `${PUBLIC_KEY_PREFIX}images/${token}_${name}.jpg`;
+  }
+  const ext = path.posix.extname(key);
+  return `${key.slice(0, key.length - ext.length)}_${name}.jpg`;
+};
+
+// Process an uploaded image in place: extract its metadata, re-compress it if
+// it is too large and store its variants in the same backend, publishable
+// ones only for public files. Returns the File fields to record; variants
+// are only kept if all succeed.
+const processImage = async ({ storageBackend, storageLocation, size }, { isPublic = false } = {}) => {
+  if (!(size <= MAX_PROCESS_BYTES)) {
+    throw new Error(`Images over ${MAX_PROCESS_BYTES} bytes are not processed`);
+  }
+
+  const adapter = getStorage(storageBackend);
+  const original = await readFile({ storageBackend, storageLocation });
+  if (!original) {
+    throw new Error(`Image content is missing at ${storageLocation}`);
+  }
+
+  const info = await decode(original).metadata();
+  const metadata = extractMetadata(info, parseExif(info.exif));
+  const result = { metadata, variants: {} };
+
+  const smaller = await recompress(original, info);
+  const source = smaller || original;
+  if (smaller) {
+    await adapter.put(adapter.toKey(storageLocation), smaller, { contentType: `image/${info.format}` });
+
+    result.size = smaller.length;
+    result.metadata.checksum = crypto.createHash('sha256').update(smaller).digest('hex');
+    result.metadata.compression = { quality: RECOMPRESS_QUALITY, originalSize: size };
+  }
+
+  const key = adapter.toKey(storageLocation);
+  const token = crypto.randomBytes(16).toString('hex');
+  try {
+    for (const [name, options] of Object.entries(VARIANTS)) {
+      const variant = await renderVariant(source, options);
+      const stored = await adapter.put(variantKey(key, name, { isPublic, token }), variant.buffer, { contentType: 'image/jpeg' });
+
+      result.variants[name] = {
+        storageLocation: stored.storageLocation,
+        mimeType: 'image/jpeg',
+        size: variant.buffer.length,
+        width: variant.width,
+        height: variant.height
+      };
+    }
+  } catch (error) {
+    await deleteVariants({ storageBackend, variants: result.variants });
+    throw error;
+  }
+
+  return result;
+};
+
+// Remove the stored variants of a file; missing ones are ignored
+const deleteVariants = async ({ storageBackend, variants }) => {
+  const adapter = getStorage(storageBackend || 'local');
+  await Promise.all(Object.keys(VARIANTS)
+    .map(name => variants && variants[name] && variants[name].storageLocation)
+    .filter(Boolean)
+    .map(storageLocation => adapter.delete(storageLocation)));
+};
+
+module.exports = {
+  VARIANTS,
+  MAX_PROCESS_BYTES,
+  isProcessableImage,
+  extractMetadata,
+  processImage,
+  deleteVariants
+};
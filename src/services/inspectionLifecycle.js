@@ -0,0 +1,121 @@
+const Inspection = require('../models/Inspection');
+const Robot = require('../models/Robot');
+const WorkOrder = require('../models/WorkOrder');
+const { generateWorkOrders } = require('./workOrders');
+const { AppError } = require('../middleware/errorHandler');
+const { inTransaction } = require('../utils/transaction');
+
+// Allowed status transitions. Reopening a closed inspection is restricted to admins.
+const TRANSITIONS = {
+  scheduled: {
+    in_progress: { roles: ['admin', 'technician'] },
+    cancelled: { roles: ['admin', 'technician'], requiresReason: true }
+  },
+  in_progress: {
+    completed: { roles: ['admin', 'technician'] },
+    cancelled: { roles: ['admin', 'technician'], requiresReason: true }
+  },
+  completed: {
+    in_progress: { roles: ['admin'], requiresReason: true }
+  },
+  cancelled: {
+    scheduled: { roles: ['admin'], requiresReason: true }
+  }
+};
+
+// List the statuses a user may move an inspection to from its current status
+const getAvailableTransitions = (status, user) => {
+  const targets = TRANSITIONS[status] || {};
+  return Object.keys(targets).filter(to => targets[to].roles.includes(user.role));
+};
+
+// Validate a transition and apply it to the inspection document (does not save)
+const applyTransition = (inspection, to, user, reason) => {
+  const from = inspection.status;
+  const rule = (TRANSITIONS[from] || {})[to];
+
+  if (!rule) {
+    throw new AppError(
+      `Cannot transition inspection from ${from} to ${to}`,
+      409,
+      'INVALID_TRANSITION'
+    );
+  }
+
+  if (!rule.roles.includes(user.role)) {
+    throw new AppError(
+      `Only ${rule.roles.join(' or ')} users can transition inspection from ${from} to ${to}`,
+      403,
+      'TRANSITION_FORBIDDEN'
+    );
+  }
+
+  if (rule.requiresReason && !reason) {
+    throw new AppError(
+      `A reason is required to transition inspection from ${from} to ${to}`,
+      400,
+      'TRANSITION_REASON_REQUIRED'
+    );
+  }
+
+  inspection.status = to;
+  if (to === 'completed') {
+    inspection.progress = 100;
+  }
+
+  inspection.statusHistory.push({
+    from,
+    to,
+    changedBy: user._id,
+    changedAt: new Date(),
+    reason
+  });
+
+  return inspection;
+};
+
+// Record a completed inspection against its robot: maintenance history and dates,
+// clear maintenance_due alerts and put the robot back into service, unless
+// critical work orders are still open against it
+const recordRobotMaintenance = async (inspection, session) => {
+  const robot = await Robot.findById(inspection.robot).session(session);
+
+  if (!robot) {
+    throw new AppError('Robot for this inspection not found', 404, 'ROBOT_NOT_FOUND');
+  }
+
+  robot.alerts = robot.alerts.filter(alert => alert.type !== 'maintenance_due');
+  // Completing the inspection hands the robot's status to the work orders
+  const blocked = await WorkOrder.hasOpenCritical(robot._id, session);
+  robot.status = blocked ? 'maintenance' : 'active';
+  robot.heldForWorkOrders = blocked;
+
+  return robot.addInspection(inspection._id);
+};
+
+// Load, transition and save an inspection. Side effects of the new status are
+// written in the same transaction so the robot never drifts from its inspections.
+const transitionInspection = (inspectionId, to, user, reason) => inTransaction(async (session) => {
+  const inspection = await Inspection.findById(inspectionId).session(session);
+
+  if (!inspection) {
+    throw new AppError('Inspection not found', 404, 'INSPECTION_NOT_FOUND');
+  }
+
+  applyTransition(inspection, to, user, reason);
+  await inspection.save();
+
+  if (to === 'completed') {
+    await generateWorkOrders(inspection, session);
+    await recordRobotMaintenance(inspection, session);
+  }
+
+  return inspection;
+});
+
+module.exports = {
+  TRANSITIONS,
+  getAvailableTransitions,
+  applyTransition,
+  transitionInspection
+};
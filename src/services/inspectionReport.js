@@ -0,0 +1,270 @@
+const PDFDocument = require('pdfkit');
+const File = require('../models/File');
+const { readFile } = require('./storage');
+const { canAccessFile } = require('./fileAccess');
+const logger = require('../utils/logger');
+
+const BRAND_NAME = process.env.REPORT_BRAND_NAME || 'Ctrl Robotics';
+const BRAND_COLOR = process.env.REPORT_BRAND_COLOR || '#1f4e79';
+const DOWNLOAD_PATH = /^\/api\/v1\/files\/([a-f0-9]{24})\/download$/;
+
+const CHECK_LABELS = {
+  displayCheck: 'Display',
+  chargingCheck: 'Charging',
+  chargerCheck: 'Charger'
+};
+
+const RESULT_LABELS = {
+  pass: 'Pass',
+  fail: 'Fail',
+  na: 'N/A'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+}) : '-');
+
+// Load an image referenced by the inspection as a Buffer. Supports data URLs
+// and download URLs of files the user may read. Image references are user
+// input, so nothing else is read from disk or fetched from the network.
+// Returns null for anything that cannot be loaded so one bad photo doesn't fail the report.
+const loadImage = async (src, user) => {
+  try {
+    if (src.startsWith('data:')) {
+      return Buffer.from(src.slice(src.indexOf(',') + 1), 'base64');
+    }
+
+    const { pathname } = new URL(src, 'file:///');
+
+    // Files served by the download route are read straight from storage
+    const download = pathname.match(DOWNLOAD_PATH);
+    if (download) {
+      const file = await File.findById(download[1]);
+      if (!file) return null;
+      if (!await canAccessFile(user, file)) {
+        logger.warn('Skipping image the user cannot access', { src, user: user && user._id });
+        return null;
+      }
+      // The web variant is already oriented, JPEG encoded and a sensible size
+      const web = file.variants && file.variants.web;
+      return readFile(web ? { storageBackend: file.storageBackend, storageLocation: web.storageLocation } : file);
+    }
+
+    logger.warn('Skipping image that is not an uploaded file', { src });
+    return null;
+  } catch (error) {
+    logger.warn('Could not load image for inspection report', { src, error: error.message });
+  }
+  return null;
+};
+
+// Try to draw an image; PDFKit only supports JPEG and PNG
+const drawImage = (doc, buffer, x, y, options) => {
+  try {
+    doc.image(buffer, x, y, options);
+    return true;
+  } catch (error) {
+    logger.warn('Skipping unsupported image in inspection report', { error: error.message });
+    return false;
+  }
+};
+
+const sectionHeading = (doc, title) => {
+  if (doc.y > doc.page.height - 150) {
+    doc.addPage();
+  }
+  doc.moveDown();
+  doc.fontSize(13).fillColor(BRAND_COLOR).text(title);
+  doc.moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .strokeColor(BRAND_COLOR)
+    .stroke();
+  doc.moveDown(0.5).fontSize(10).fillColor('black');
+};
+
+const field = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+    .font('Helvetica').text(value || '-');
+};
+
+const renderHeader = (doc, inspection) => {
+  doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLOR);
+  doc.fillColor('white').fontSize(20).text(BRAND_NAME, 50, 22);
+  doc.fontSize(11).text('Inspection Report', 50, 46);
+  doc.fontSize(9).text(`Report #${inspection._id}`, 0, 30, { align: 'right', width: doc.page.width - 50 });
+  doc.fillColor('black').fontSize(10);
+  doc.y = 90;
+};
+
+const renderDetails = (doc, inspection) => {
+  const { customer, robot, technician } = inspection;
+
+  sectionHeading(doc, 'Customer');
+  field(doc, 'Company', customer && customer.companyName);
+  if (customer && customer.contactInfo) {
+    field(doc, 'Contact', customer.contactInfo.primaryContact);
+    field(doc, 'Address', customer.fullAddress);
+  }
+
+  sectionHeading(doc, 'Robot');
+  field(doc, 'Serial number', robot ? robot.serialNumber : inspection.robotSerial);
+  if (robot) {
+    field(doc, 'Model', `${robot.manufacturer} ${robot.model}`);
+    const location = robot.location || {};
+    field(doc, 'Location', [location.building, location.floor, location.zone].filter(Boolean).join(', '));
+  }
+
+  sectionHeading(doc, 'Visit');
+  field(doc, 'Date', formatDate(inspection.date));
+  field(doc, 'Technician', technician && technician.name);
+  field(doc, 'Status', inspection.status.replace('_', ' '));
+};
+
+const renderChecklist = (doc, inspection) => {
+  const checklist = inspection.checklist || {};
+  const totals = inspection.checklistTotals;
+
+  sectionHeading(doc, 'Checklist');
+
+  Object.entries(CHECK_LABELS).forEach(([key, label]) => {
+    const check = checklist[key];
+    field(doc, label, check ? RESULT_LABELS[check.status] : 'Not checked');
+    if (check && check.notes) {
+      doc.fillColor('gray').text(check.notes, { indent: 15 }).fillColor('black');
+    }
+  });
+
+  const damage = checklist.damageAssessment;
+  field(doc, 'Damage', damage ? (damage.hasDamage ? 'Damage found' : 'No damage') : 'Not assessed');
+  if (damage && damage.description) {
+    doc.fillColor('gray').text(damage.description, { indent: 15 }).fillColor('black');
+  }
+
+  const hardwareTests = checklist.hardwareTests || {};
+  ['door1', 'door2', 'door3', 'door4'].forEach((key, i) => {
+    const door = hardwareTests[key];
+    let result = 'Not tested';
+    if (door) {
+      result = door.isWorking ? 'Working' : 'Not working';
+      if (door.needsAttention) result += ' (needs attention)';
+    }
+    field(doc, `Door ${i + 1}`, result);
+    if (door && door.notes) {
+      doc.fillColor('gray').text(door.notes, { indent: 15 }).fillColor('black');
+    }
+  });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold')
+    .text(`${totals.pass} passed, ${totals.fail} failed, ${totals.na} not applicable, ${totals.pending} pending`)
+    .font('Helvetica');
+
+  if (inspection.maintenanceItems.length > 0) {
+    sectionHeading(doc, 'Maintenance Items');
+    inspection.maintenanceItems.forEach(item => {
+      field(doc, item.item, item.status.replace('_', ' '));
+      if (item.notes) {
+        doc.fillColor('gray').text(item.notes, { indent: 15 }).fillColor('black');
+      }
+    });
+  }
+};
+
+const renderNotes = (doc, inspection) => {
+  if (inspection.summary) {
+    sectionHeading(doc, 'Summary');
+    doc.text(inspection.summary);
+  }
+  if (inspection.notes) {
+    sectionHeading(doc, 'Notes');
+    doc.text(inspection.notes);
+  }
+};
+
+const renderPhotos = async (doc, inspection, user) => {
+  if (inspection.images.length === 0) return;
+
+  const width = 240;
+  const height = 180;
+  const gap = 15;
+
+  sectionHeading(doc, 'Photos');
+
+  let column = 0;
+  for (const src of inspection.images) {
+    const buffer = await loadImage(src, user);
+    if (!buffer) continue;
+
+    if (column === 0 && doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const x = doc.page.margins.left + column * (width + gap);
+    const y = doc.y;
+    if (!drawImage(doc, buffer, x, y, { fit: [width, height], align: 'center', valign: 'center' })) {
+      continue;
+    }
+
+    column = (column + 1) % 2;
+    doc.y = column === 0 ? y + height + gap : y;
+  }
+
+  if (column === 1) {
+    doc.y += height + gap;
+  }
+  doc.x = doc.page.margins.left;
+};
+
+const renderSignature = async (doc, inspection, user) => {
+  if (!inspection.signature) return;
+
+  sectionHeading(doc, 'Customer Signature');
+
+  const buffer = await loadImage(inspection.signature, user);
+  if (buffer && drawImage(doc, buffer, doc.page.margins.left, doc.y, { fit: [200, 80] })) {
+    doc.y += 85;
+  }
+  doc.x = doc.page.margins.left;
+  field(doc, 'Signed', formatDate(inspection.signedAt));
+};
+
+// Render a customer-facing report for an inspection with robot, customer and
+// technician populated. Only images the user may read are included.
+// Resolves with the PDF as a Buffer.
+const renderInspectionReport = async (inspection, { user } = {}) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Inspection Report ${inspection._id}`,
+      Author: BRAND_NAME
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  renderHeader(doc, inspection);
+  renderDetails(doc, inspection);
+  renderChecklist(doc, inspection);
+  renderNotes(doc, inspection);
+  await renderPhotos(doc, inspection, user);
+  await renderSignature(doc, inspection, user);
+
+  doc.moveDown(2).fontSize(8).fillColor('gray')
+    .text(`Generated ${new Date().toISOString()} by ${BRAND_NAME}`, { align: 'center' });
+
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  loadImage,
+  renderInspectionReport
+};
@@ -0,0 +1,212 @@
+const PartsCatalog = require('../models/PartsCatalog');
+const StockLocation = require('../models/StockLocation');
+const StockMovement = require('../models/StockMovement');
+const Inspection = require('../models/Inspection');
+const { AppError } = require('../middleware/errorHandler');
+const { inTransaction } = require('../utils/transaction');
+
+const findLocation = async (locationId, session) => {
+  const location = await StockLocation.findOne({ _id: locationId, isActive: true }).session(session);
+  if (!location) {
+    throw new AppError('Stock location not found', 404, 'LOCATION_NOT_FOUND');
+  }
+  return location;
+};
+
+const findPart = async (partId, session) => {
+  const part = await PartsCatalog.findOne({ _id: partId, isActive: true }).session(session);
+  if (!part) {
+    throw new AppError('Part not found', 404, 'PART_NOT_FOUND');
+  }
+  return part;
+};
+
+// Technicians may only take stock out of their own van; admins from anywhere
+const assertCanTakeFrom = (location, user) => {
+  if (user.role === 'admin') return;
+  if (location.type !== 'van' || !location.technician || !location.technician.equals(user._id)) {
+    throw new AppError('You can only take stock from your own van', 403, 'LOCATION_ACCESS_DENIED');
+  }
+};
+
+// Remove stock from a location; fails rather than going below zero
+const decrementStock = async (locationId, partId, quantity, session) => {
+  const result = await StockLocation.updateOne(
+    { _id: locationId, stock: { $elemMatch: { part: partId, quantity: { $gte: quantity } } } },
+    { $inc: { 'stock.$.quantity': -quantity } },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new AppError('Insufficient stock at location', 409, 'INSUFFICIENT_STOCK');
+  }
+};
+
+// Add stock to a location, creating the stock line the first time a part arrives
+const incrementStock = async (locationId, partId, quantity, session) => {
+  const result = await StockLocation.updateOne(
+    { _id: locationId, 'stock.part': partId },
+    { $inc: { 'stock.$.quantity': quantity } },
+    { session }
+  );
+
+  if (result.matchedCount === 0) {
+    await StockLocation.updateOne(
+      { _id: locationId },
+      { $push: { stock: { part: partId, quantity } } },
+      { session }
+    );
+  }
+};
+
+// Receive stock from a supplier into a location
+const receiveStock = ({ partId, locationId, quantity, note }, user) => inTransaction(async (session) => {
+  await findPart(partId, session);
+  await findLocation(locationId, session);
+
+  await incrementStock(locationId, partId, quantity, session);
+
+  const [movement] = await StockMovement.create([{
+    part: partId,
+    quantity,
+    type: 'receipt',
+    toLocation: locationId,
+    performedBy: user._id,
+    note
+  }], { session });
+
+  return movement;
+});
+
+// Move stock between two locations. Technicians can only move stock out of
+// their own van, e.g. returning parts to the warehouse.
+const transferStock = ({ partId, fromLocationId, toLocationId, quantity, note }, user) => inTransaction(async (session) => {
+  if (String(fromLocationId) === String(toLocationId)) {
+    throw new AppError('Cannot transfer stock to the same location', 400, 'SAME_LOCATION');
+  }
+
+  await findPart(partId, session);
+  const fromLocation = await findLocation(fromLocationId, session);
+  assertCanTakeFrom(fromLocation, user);
+  await findLocation(toLocationId, session);
+
+  await decrementStock(fromLocationId, partId, quantity, session);
+  await incrementStock(toLocationId, partId, quantity, session);
+
+  const [movement] = await StockMovement.create([{
+    part: partId,
+    quantity,
+    type: 'transfer',
+    fromLocation: fromLocationId,
+    toLocation: toLocationId,
+    performedBy: user._id,
+    note
+  }], { session });
+
+  return movement;
+});
+
+// Record parts consumed on an inspection, taking them from the given location
+// or the technician's own van. Only the assigned technician or an admin can
+// record parts on an inspection.
+const consumeParts = ({ inspectionId, partId, quantity, locationId, note }, user) => inTransaction(async (session) => {
+  const inspection = await Inspection.findById(inspectionId).session(session);
+  if (!inspection) {
+    throw new AppError('Inspection not found', 404, 'INSPECTION_NOT_FOUND');
+  }
+  if (user.role !== 'admin' && !inspection.technician.equals(user._id)) {
+    throw new AppError('Only the assigned technician can record parts on this inspection', 403, 'FORBIDDEN');
+  }
+  if (inspection.status !== 'in_progress') {
+    throw new AppError('Parts can only be recorded while an inspection is in progress', 409, 'INSPECTION_NOT_IN_PROGRESS');
+  }
+
+  await findPart(partId, session);
+
+  let location;
+  if (locationId) {
+    location = await findLocation(locationId, session);
+    assertCanTakeFrom(location, user);
+  } else {
+    location = await StockLocation.findVan(user._id).session(session);
+    if (!location) {
+      throw new AppError('No van stock location assigned to you; specify locationId', 400, 'NO_VAN_LOCATION');
+    }
+  }
+
+  await decrementStock(location._id, partId, quantity, session);
+
+  const [movement] = await StockMovement.create([{
+    part: partId,
+    quantity,
+    type: 'consumption',
+    fromLocation: location._id,
+    inspection: inspection._id,
+    performedBy: user._id,
+    note
+  }], { session });
+
+  inspection.partsUsed.push({
+    part: partId,
+    quantity,
+    location: location._id,
+    movement: movement._id,
+    usedBy: user._id
+  });
+  await inspection.save();
+
+  return inspection;
+});
+
+// Stock lines at or below their reorder point. Vans restock from the
+// warehouse; the warehouse reorders from the supplier.
+const getReorderSuggestions = async ({ locationId } = {}) => {
+  const query = { isActive: true };
+  if (locationId) {
+    query._id = locationId;
+  }
+
+  const locations = await StockLocation.find(query)
+    .populate('stock.part', 'partNumber name supplier reorderPoint reorderQuantity isActive')
+    .populate('technician', 'name');
+
+  const suggestions = [];
+
+  locations.forEach(location => {
+    location.stock.forEach(item => {
+      const part = item.part;
+      if (!part || !part.isActive) return;
+
+      const reorderPoint = item.reorderPoint !== undefined ? item.reorderPoint : part.reorderPoint;
+      if (item.quantity > reorderPoint) return;
+
+      suggestions.push({
+        location: {
+          _id: location._id,
+          name: location.name,
+          type: location.type,
+          technician: location.technician
+        },
+        part: {
+          _id: part._id,
+          partNumber: part.partNumber,
+          name: part.name,
+          supplier: part.supplier
+        },
+        quantityOnHand: item.quantity,
+        reorderPoint,
+        suggestedQuantity: Math.max(part.reorderQuantity, reorderPoint - item.quantity + 1),
+        source: location.type === 'van' ? 'warehouse' : 'supplier'
+      });
+    });
+  });
+
+  return suggestions.sort((a, b) => a.quantityOnHand - b.quantityOnHand);
+};
+
+module.exports = {
+  receiveStock,
+  transferStock,
+  consumeParts,
+  getReorderSuggestions
+};
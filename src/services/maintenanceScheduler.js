@@ -0,0 +1,200 @@
+const Robot = require('../models/Robot');
+const Inspection = require('../models/Inspection');
+const InspectionTemplate = require('../models/InspectionTemplate');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HORIZON_DAYS = parseInt(process.env.SCHEDULER_HORIZON_DAYS) || 14;
+const DEFAULT_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+
+// Pick the active assigned technician with the fewest open inspections
+const pickTechnician = async (customer) => {
+  const technicians = await User.find({
+    _id: { $in: customer.assignedTechnicians },
+    isActive: true
+  }).select('_id name');
+
+  if (technicians.length === 0) {
+    return null;
+  }
+
+  // Count every candidate's open inspections in one query; technicians
+  // without any do not appear in the result
+  const loads = await Inspection.aggregate([
+    {
+      $match: {
+        technician: { $in: technicians.map(technician => technician._id) },
+        status: { $in: OPEN_STATUSES }
+      }
+    },
+    { $group: { _id: '$technician', count: { $sum: 1 } } }
+  ]);
+  const loadOf = new Map(loads.map(({ _id, count }) => [_id.toString(), count]));
+
+  let best = null;
+  let bestLoad = Infinity;
+
+  for (const technician of technicians) {
+    const load = loadOf.get(technician._id.toString()) || 0;
+    if (load < bestLoad) {
+      best = technician;
+      bestLoad = load;
+    }
+  }
+
+  return best;
+};
+
+// Create a scheduled inspection for the robot, or return the reason it was skipped
+const scheduleRobot = async (robot, now, dryRun) => {
+  const customer = robot.customerId;
+
+  if (!customer || !customer.isActive) {
+    return { skipped: 'customer inactive or missing' };
+  }
+
+  const open = await Inspection.exists({ robot: robot._id, status: { $in: OPEN_STATUSES } });
+  if (open) {
+    return { skipped: 'open inspection already exists' };
+  }
+
+  const technician = await pickTechnician(customer);
+  if (!technician) {
+    return { skipped: 'no active technician assigned to customer' };
+  }
+
+  const date = robot.nextMaintenanceDate < now ? now : robot.nextMaintenanceDate;
+
+  if (dryRun) {
+    return { date, technician: technician._id };
+  }
+
+  let template = null;
+  const robotType = await robot.getRobotType();
+  if (robotType) {
+    template = await InspectionTemplate.getCurrent(robotType);
+  }
+
+  try {
+    const inspection = await Inspection.create({
+      robot: robot._id,
+      robotSerial: robot.serialNumber,
+      customer: customer._id,
+      technician: technician._id,
+      date,
+      source: 'scheduler',
+      status: 'scheduled',
+      statusHistory: [{
+        to: 'scheduled',
+        changedAt: now,
+        reason: 'Scheduled automatically from maintenance due date'
+      }],
+      template: template ? { id: template._id, version: template.version } : undefined,
+      maintenanceItems: template ? template.toMaintenanceItems() : []
+    });
+
+    return { inspection };
+  } catch (error) {
+    // Another scheduler run created it first
+    if (error.code === 11000) {
+      return { skipped: 'open inspection already exists' };
+    }
+    throw error;
+  }
+};
+
+// Scan robots due for maintenance within the horizon and create scheduled
+// inspections for them. `now` is injectable so runs can use a fake clock.
+const scheduleUpcomingInspections = async ({
+  now = new Date(),
+  horizonDays = DEFAULT_HORIZON_DAYS,
+  dryRun = false
+} = {}) => {
+  const horizon = new Date(now.getTime() + horizonDays * DAY_MS);
+
+  const robots = await Robot.find({
+    status: { $ne: 'retired' },
+    nextMaintenanceDate: { $lte: horizon }
+  }).populate('customerId', 'companyName isActive assignedTechnicians');
+
+  const result = {
+    ranAt: now,
+    horizon,
+    dryRun,
+    scanned: robots.length,
+    created: [],
+    skipped: []
+  };
+
+  for (const robot of robots) {
+    let outcome;
+    try {
+      outcome = await scheduleRobot(robot, now, dryRun);
+    } catch (error) {
+      // One bad robot shouldn't stop the rest of the run
+      logger.error(`Maintenance scheduling failed for robot ${robot.serialNumber}:`, error);
+      outcome = { skipped: `error: ${error.message}` };
+    }
+
+    const { inspection, skipped, date, technician } = outcome;
+
+    if (skipped) {
+      result.skipped.push({ robot: robot._id, serialNumber: robot.serialNumber, reason: skipped });
+    } else {
+      result.created.push({
+        robot: robot._id,
+        serialNumber: robot.serialNumber,
+        inspection: inspection ? inspection._id : null,
+        technician: inspection ? inspection.technician : technician,
+        date: inspection ? inspection.date : date
+      });
+    }
+  }
+
+  logger.info('Maintenance scheduler run finished', {
+    scanned: result.scanned,
+    created: result.created.length,
+    skipped: result.skipped.length,
+    dryRun
+  });
+
+  return result;
+};
+
+// Run the scheduler in-process on an interval. Returns a function that stops it.
+const startScheduler = ({
+  intervalMs = DEFAULT_INTERVAL_MS,
+  horizonDays = DEFAULT_HORIZON_DAYS,
+  clock = () => new Date()
+} = {}) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await scheduleUpcomingInspections({ now: clock(), horizonDays });
+    } catch (error) {
+      logger.error('Maintenance scheduler run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  logger.info(`Maintenance scheduler started (every ${intervalMs}ms, horizon ${horizonDays} days)`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  scheduleUpcomingInspections,
+  startScheduler
+};
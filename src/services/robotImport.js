@@ -0,0 +1,248 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Joi = require('joi');
+const Robot = require('../models/Robot');
+const Customer = require('../models/Customer');
+const { schemas } = require('../middleware/validation');
+const { AppError } = require('../middleware/errorHandler');
+const { inTransaction } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ROWS = 1000;
+
+// Imported rows must carry specifications, since installation date is required on robots.
+// A row may also give the next maintenance date, when it is known from the old system.
+const rowSchema = schemas.robotCreate
+  .fork(['specifications'], schema => schema.required())
+  .keys({ nextMaintenanceDate: Joi.date() });
+
+// Short column names accepted in place of the full robotCreate paths
+const COLUMN_ALIASES = {
+  type: 'specifications.type',
+  version: 'specifications.version',
+  installationDate: 'specifications.installationDate',
+  warrantyExpiration: 'specifications.warrantyExpiration',
+  building: 'location.building',
+  floor: 'location.floor',
+  zone: 'location.zone',
+  latitude: 'location.coordinates.latitude',
+  longitude: 'location.coordinates.longitude'
+};
+
+// Unwrap ExcelJS cell values (rich text, formulas, hyperlinks) to plain values
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return value.result;
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+};
+
+// Parse an uploaded CSV or XLSX file into an array of { header: value } records
+const parseSpreadsheet = async (file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ext === '.xlsx' || file.mimetype.includes('spreadsheetml')) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+      headers[col] = String(cellValue(cell.value) || '').trim();
+    });
+
+    const records = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      row.eachCell((cell, col) => {
+        if (headers[col]) record[headers[col]] = cellValue(cell.value);
+      });
+      records.push(record);
+    });
+    return records;
+  }
+
+  return parse(file.buffer, {
+    columns: header => header.map(column => column.trim()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+};
+
+// Turn a flat record with dotted or aliased column names into a nested robot object
+const toRobotInput = (record) => {
+  const robot = {};
+
+  Object.entries(record).forEach(([column, value]) => {
+    if (value === undefined || value === null || value === '') return;
+
+    const keys = (COLUMN_ALIASES[column] || column).split('.');
+    let target = robot;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+
+  return robot;
+};
+
+// Validate every row and split them into valid robots and per-row errors.
+// Row numbers match the spreadsheet (header is row 1).
+const validateRows = async (records, customer) => {
+  const valid = [];
+  const errors = [];
+  const seenSerials = new Map();
+  const seenQrCodes = new Map();
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const input = { ...toRobotInput(record), customerId: customer._id.toString() };
+
+    const { error, value } = rowSchema.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      error.details.forEach(detail => errors.push({
+        row,
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context.value
+      }));
+      return;
+    }
+
+    if (seenSerials.has(value.serialNumber)) {
+      errors.push({
+        row,
+        field: 'serialNumber',
+        message: `Duplicate serial number, first seen on row ${seenSerials.get(value.serialNumber)}`,
+        value: value.serialNumber
+      });
+      return;
+    }
+    seenSerials.set(value.serialNumber, row);
+
+    if (value.qrCode) {
+      if (seenQrCodes.has(value.qrCode)) {
+        errors.push({
+          row,
+          field: 'qrCode',
+          message: `Duplicate QR code, first seen on row ${seenQrCodes.get(value.qrCode)}`,
+          value: value.qrCode
+        });
+        return;
+      }
+      seenQrCodes.set(value.qrCode, row);
+    }
+
+    valid.push({ row, robot: value });
+  });
+
+  // Serial numbers and QR codes already in the database
+  const existing = await Robot.find({
+    $or: [
+      { serialNumber: { $in: [...seenSerials.keys()] } },
+      { qrCode: { $in: [...seenQrCodes.keys()] } }
+    ]
+  }).select('serialNumber qrCode');
+
+  const takenSerials = new Set(existing.map(robot => robot.serialNumber));
+  const takenQrCodes = new Set(existing.map(robot => robot.qrCode).filter(Boolean));
+
+  const unique = valid.filter(({ row, robot }) => {
+    if (takenSerials.has(robot.serialNumber)) {
+      errors.push({ row, field: 'serialNumber', message: 'Serial number already exists', value: robot.serialNumber });
+      return false;
+    }
+    if (robot.qrCode && takenQrCodes.has(robot.qrCode)) {
+      errors.push({ row, field: 'qrCode', message: 'QR code already exists', value: robot.qrCode });
+      return false;
+    }
+    return true;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return { valid: unique, errors };
+};
+
+// First maintenance due at or after `now`, counting whole service intervals
+// from the installation date, so robots installed years ago do not all
+// arrive overdue
+const nextDueDate = (installationDate, frequencyDays, now) => {
+  const installedAt = new Date(installationDate).getTime();
+  const period = frequencyDays * DAY_MS;
+  const periods = Math.max(1, Math.ceil((now.getTime() - installedAt) / period));
+  return new Date(installedAt + periods * period);
+};
+
+// Parse, validate and (unless dry-running) insert robots for a customer.
+// Valid rows are written in one transaction together with the customer link.
+const importRobots = async (file, customerId, { dryRun = false, now = new Date() } = {}) => {
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  const records = await parseSpreadsheet(file);
+  if (records.length === 0) {
+    throw new AppError('The file contains no rows to import', 400, 'EMPTY_IMPORT');
+  }
+  if (records.length > MAX_ROWS) {
+    throw new AppError(`Imports are limited to ${MAX_ROWS} rows`, 400, 'IMPORT_TOO_LARGE');
+  }
+
+  const { valid, errors } = await validateRows(records, customer);
+
+  const result = {
+    dryRun,
+    totalRows: records.length,
+    validRows: valid.length,
+    invalidRows: new Set(errors.map(error => error.row)).size,
+    errors,
+    created: []
+  };
+
+  if (dryRun || valid.length === 0) {
+    return result;
+  }
+
+  const frequency = customer.serviceAgreement.maintenanceFrequency || 90;
+  const docs = valid.map(({ robot }) => ({
+    ...robot,
+    nextMaintenanceDate: robot.nextMaintenanceDate ||
+      nextDueDate(robot.specifications.installationDate, frequency, now)
+  }));
+
+  await inTransaction(async (session) => {
+    const robots = await Robot.insertMany(docs, { session });
+
+    await Customer.updateOne(
+      { _id: customer._id },
+      { $addToSet: { robots: { $each: robots.map(robot => robot._id) } } },
+      { session }
+    );
+
+    result.created = robots.map((robot, i) => ({
+      row: valid[i].row,
+      id: robot._id,
+      serialNumber: robot.serialNumber
+    }));
+  });
+
+  return result;
+};
+
+module.exports = {
+  parseSpreadsheet,
+  validateRows,
+  importRobots
+};
@@ -0,0 +1,87 @@
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+
+const BRAND_NAME = process.env.REPORT_BRAND_NAME || 'Ctrl Robotics';
+
+// A4 sheet of 3 x 4 labels
+const LABEL_COLUMNS = 3;
+const LABEL_ROWS = 4;
+const SHEET_MARGIN = 30;
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'M',
+  margin: 1
+};
+
+// Render a robot's QR code as PNG (Buffer) or SVG (string)
+const renderQRCode = (code, format = 'png', size = 300) => {
+  if (format === 'svg') {
+    return QRCode.toString(code, { ...QR_OPTIONS, type: 'svg', width: size });
+  }
+  return QRCode.toBuffer(code, { ...QR_OPTIONS, type: 'png', width: size });
+};
+
+const drawLabel = async (doc, robot, customer, x, y, width, height) => {
+  const qrSize = Math.min(width - 20, height - 70);
+  const qr = await renderQRCode(robot.qrCode, 'png', qrSize * 2);
+
+  doc.rect(x, y, width, height).dash(3, { space: 3 }).strokeColor('#999999').stroke().undash();
+  doc.image(qr, x + (width - qrSize) / 2, y + 8, { width: qrSize });
+
+  let textY = y + qrSize + 14;
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(10)
+    .text(robot.serialNumber, x + 5, textY, { width: width - 10, align: 'center' });
+  textY += 13;
+
+  doc.font('Helvetica').fontSize(7)
+    .text(`${robot.manufacturer} ${robot.model}`, x + 5, textY, { width: width - 10, align: 'center' });
+  textY += 10;
+
+  const location = robot.location || {};
+  const where = [location.building, location.floor, location.zone].filter(Boolean).join(' / ');
+  doc.fillColor('gray')
+    .text(where || customer.companyName, x + 5, textY, { width: width - 10, align: 'center', ellipsis: true });
+};
+
+// Render a printable PDF label sheet for robots at one customer site.
+// Every robot must already have a qrCode. Resolves with the PDF as a Buffer.
+const renderLabelSheet = async (customer, robots) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: SHEET_MARGIN,
+    info: {
+      Title: `Robot labels - ${customer.companyName}`,
+      Author: BRAND_NAME
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = (doc.page.width - SHEET_MARGIN * 2) / LABEL_COLUMNS;
+  const height = (doc.page.height - SHEET_MARGIN * 2) / LABEL_ROWS;
+  const perPage = LABEL_COLUMNS * LABEL_ROWS;
+
+  for (let i = 0; i < robots.length; i++) {
+    const slot = i % perPage;
+    if (i > 0 && slot === 0) {
+      doc.addPage();
+    }
+
+    const x = SHEET_MARGIN + (slot % LABEL_COLUMNS) * width;
+    const y = SHEET_MARGIN + Math.floor(slot / LABEL_COLUMNS) * height;
+    await drawLabel(doc, robots[i], customer, x, y, width, height);
+  }
+
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  renderQRCode,
+  renderLabelSheet
+};
@@ -0,0 +1,119 @@
+const { haversineKm } = require('../utils/geo');
+
+const AVERAGE_SPEED_KMH = parseFloat(process.env.DISPATCH_AVERAGE_SPEED_KMH) || 40;
+// Straight-line distances understate road distances; scale them up for estimates
+const ROAD_FACTOR = parseFloat(process.env.DISPATCH_ROAD_FACTOR) || 1.3;
+const MAX_TWO_OPT_PASSES = 50;
+
+const travelMinutes = (km) => Math.round(km * ROAD_FACTOR / AVERAGE_SPEED_KMH * 60);
+
+// Length of a route visiting points in order, starting from start when given
+const routeLength = (order, points, start) => {
+  let total = 0;
+  let previous = start;
+
+  order.forEach(index => {
+    if (previous) total += haversineKm(previous, points[index]);
+    previous = points[index];
+  });
+
+  return total;
+};
+
+// Greedy tour: always drive to the closest stop not yet visited
+const nearestNeighbour = (points, start) => {
+  const remaining = new Set(points.map((point, index) => index));
+  const order = [];
+  let current = start || points[0];
+
+  while (remaining.size > 0) {
+    let next = null;
+    let nextDistance = Infinity;
+
+    remaining.forEach(index => {
+      const distance = haversineKm(current, points[index]);
+      if (distance < nextDistance) {
+        next = index;
+        nextDistance = distance;
+      }
+    });
+
+    order.push(next);
+    remaining.delete(next);
+    current = points[next];
+  }
+
+  return order;
+};
+
+// Improve a tour by reversing segments while that shortens it. The route is
+// open-ended (no return to start), so the last stop can move freely.
+const twoOpt = (order, points, start) => {
+  let best = order.slice();
+  let bestLength = routeLength(best, points, start);
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = best.slice(0, i)
+          .concat(best.slice(i, j + 1).reverse())
+          .concat(best.slice(j + 1));
+        const length = routeLength(candidate, points, start);
+
+        if (length < bestLength - 1e-9) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+// Order points into a short route. Returns the visiting order as indexes into points.
+const optimizeRoute = (points, start) => {
+  if (points.length < 2) return points.map((point, index) => index);
+  return twoOpt(nearestNeighbour(points, start), points, start);
+};
+
+// Distance and travel time for each leg of a route in the given order
+const describeRoute = (order, points, start) => {
+  let previous = start;
+  let totalKm = 0;
+  let totalMinutes = 0;
+
+  const legs = order.map(index => {
+    const distanceKm = previous ? haversineKm(previous, points[index]) : 0;
+    const minutes = travelMinutes(distanceKm);
+    previous = points[index];
+    totalKm += distanceKm;
+    totalMinutes += minutes;
+
+    return {
+      index,
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      travelMinutes: minutes
+    };
+  });
+
+  return {
+    legs,
+    totalDistanceKm: Math.round(totalKm * 100) / 100,
+    totalTravelMinutes: totalMinutes
+  };
+};
+
+module.exports = {
+  travelMinutes,
+  routeLength,
+  nearestNeighbour,
+  twoOpt,
+  optimizeRoute,
+  describeRoute
+};
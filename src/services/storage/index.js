@@ -0,0 +1,67 @@
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { createMemoryStorage } = require('./memoryStorage');
+const { PUBLIC_KEY_PREFIX, buildKey } = require('./keys');
+
+// Storage adapters by name. Each adapter implements:
+//   put(key, body, { contentType }) -> { storageLocation }  body is a Buffer or stream
+//   get(storageLocation)            -> readable stream, or null when missing
+//   exists(storageLocation)         -> boolean
+//   delete(storageLocation)         -> ignores missing objects
+//   toKey(storageLocation)          -> backend-independent key, for migrations
+//   publicUrl(storageLocation)      -> direct URL for public files, or null
+const factories = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+  memory: createMemoryStorage
+};
+
+const instances = {};
+
+const BACKENDS = Object.keys(factories);
+
+const getStorage = (name) => {
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage backend '${name}'`);
+    }
+    instances[name] = factory();
+  }
+  return instances[name];
+};
+
+// Backend new files are written to
+const getActiveStorage = () => getStorage(process.env.STORAGE_BACKEND || 'local');
+
+// Backend holding an existing File document; files recorded before storage
+// became pluggable are on local disk
+const storageFor = (file) => getStorage(file.storageBackend || 'local');
+
+// Replace an adapter, e.g. with a memory or MinIO-backed one in tests
+const setStorage = (name, adapter) => {
+  instances[name] = adapter;
+};
+
+// Read a stored file fully into memory, or null when it is missing
+const readFile = async (file) => {
+  const stream = await storageFor(file).get(file.storageLocation);
+  if (!stream) return null;
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  BACKENDS,
+  PUBLIC_KEY_PREFIX,
+  getStorage,
+  getActiveStorage,
+  storageFor,
+  setStorage,
+  buildKey,
+  readFile
+};
@@ -0,0 +1,31 @@
+const path = require('path');
+
+// Only objects under this prefix may be published by a backend, e.g. through
+// S3_PUBLIC_URL; everything else is served through the access-checked routes
+const PUBLIC_KEY_PREFIX = 'public/';
+
+// Key for a new upload: grouped by kind and date, with a unique file name
+const buildKey = (originalName, mimeType, date = new Date()) => {
+  let kind = 'general';
+  if (mimeType.startsWith('image/')) {
+    kind = 'images';
+  } else if (mimeType === 'application/pdf') {
+    kind = 'documents';
+  }
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  const ext = path.extname(originalName);
+  const name = path.basename(originalName, ext).replace(/[^a-zA-Z0-9]/g, '_');
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = `${name}_${uniqueSuffix}${ext}`;
+
+  return { key: [kind, year, month, day, filename].join('/'), filename };
+};
+
+module.exports = {
+  PUBLIC_KEY_PREFIX,
+  buildKey
+};
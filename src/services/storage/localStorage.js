@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+// Stores files on local disk under the upload directory. The storage location
+// is the file path, as it was before storage became pluggable.
+const createLocalStorage = ({ root = process.env.UPLOAD_PATH || './uploads' } = {}) => {
+  const resolve = (storageLocation) => {
+    const filePath = path.normalize(storageLocation);
+    if (path.relative(root, filePath).startsWith('..')) {
+      throw new Error(`Storage location is outside the upload directory: ${storageLocation}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    toKey(storageLocation) {
+      return path.relative(root, resolve(storageLocation)).split(path.sep).join('/');
+    },
+
+    async put(key, body) {
+      const filePath = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+      try {
+        await pipeline(source, fs.createWriteStream(filePath));
+      } catch (error) {
+        // Don't leave a partial file behind when the source fails mid-way
+        await fs.promises.unlink(filePath).catch(() => {});
+        throw error;
+      }
+
+      return { storageLocation: filePath };
+    },
+
+    async get(storageLocation) {
+      const filePath = resolve(storageLocation);
+      if (!fs.existsSync(filePath)) return null;
+      return fs.createReadStream(filePath);
+    },
+
+    async exists(storageLocation) {
+      return fs.existsSync(resolve(storageLocation));
+    },
+
+    async delete(storageLocation) {
+      try {
+        await fs.promises.unlink(resolve(storageLocation));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // Local files are only reachable through the download route
+    publicUrl() {
+      return null;
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
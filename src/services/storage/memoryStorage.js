@@ -0,0 +1,50 @@
+const { Readable } = require('stream');
+
+// Keeps files in process memory. For tests and local experiments only:
+// everything is lost on restart and nothing is shared between instances.
+const createMemoryStorage = () => {
+  const objects = new Map();
+
+  const toBuffer = async (body) => {
+    if (Buffer.isBuffer(body)) return body;
+
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    name: 'memory',
+    objects,
+
+    toKey(storageLocation) {
+      return storageLocation;
+    },
+
+    async put(key, body, { contentType } = {}) {
+      objects.set(key, { buffer: await toBuffer(body), contentType });
+      return { storageLocation: key };
+    },
+
+    async get(storageLocation) {
+      const object = objects.get(storageLocation);
+      return object ? Readable.from([object.buffer]) : null;
+    },
+
+    async exists(storageLocation) {
+      return objects.has(storageLocation);
+    },
+
+    async delete(storageLocation) {
+      objects.delete(storageLocation);
+    },
+
+    publicUrl() {
+      return null;
+    }
+  };
+};
+
+module.exports = { createMemoryStorage };
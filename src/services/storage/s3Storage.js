@@ -0,0 +1,95 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { PUBLIC_KEY_PREFIX } = require('./keys');
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2, ...). The
+// storage location is the object key; point S3_ENDPOINT at a local MinIO and
+// set S3_FORCE_PATH_STYLE=true to develop against it.
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  prefix = process.env.S3_PREFIX || '',
+  publicBaseUrl = process.env.S3_PUBLIC_URL,
+  client
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use S3 storage');
+  }
+
+  const s3 = client || new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  const toKey = (storageLocation) => (prefix && storageLocation.startsWith(prefix)
+    ? storageLocation.slice(prefix.length)
+    : storageLocation);
+
+  return {
+    name: 's3',
+
+    toKey,
+
+    // Streams of unknown length are sent as a multipart upload
+    async put(key, body, { contentType } = {}) {
+      const objectKey = `${prefix}${key}`;
+
+      await new Upload({
+        client: s3,
+        params: {
+          Bucket: bucket,
+          Key: objectKey,
+          Body: body,
+          ContentType: contentType
+        }
+      }).done();
+
+      return { storageLocation: objectKey };
+    },
+
+    async get(storageLocation) {
+      try {
+        const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: storageLocation }));
+        return Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async exists(storageLocation) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: storageLocation }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    async delete(storageLocation) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: storageLocation }));
+    },
+
+    // Direct URL for objects under the public prefix when S3_PUBLIC_URL is
+    // set. It should point at the bucket root, with only public/* readable.
+    publicUrl(storageLocation) {
+      if (!publicBaseUrl || !toKey(storageLocation).startsWith(PUBLIC_KEY_PREFIX)) return null;
+      return `${publicBaseUrl.replace(/\/$/, '')}/${storageLocation}`;
+    }
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const { getStorage, getActiveStorage, buildKey } = require('./storage');
+const { resolveRelated, buildFileRecord, discardUpload } = require('./fileRecords');
+const { isAllowedType } = require('../middleware/upload');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * HOUR_MS;
+const DEFAULT_GC_INTERVAL_MS = parseInt(process.env.UPLOAD_GC_INTERVAL_MS) || HOUR_MS;
+const MAX_CHUNK_BYTES = parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES) || 8 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+
+const expiresFrom = (now) => new Date(now.getTime() + SESSION_TTL_MS);
+
+const findSession = async (id, user) => {
+  const session = await UploadSession.findById(id);
+  // Sessions belong to whoever started them
+  if (!session || !session.uploadedBy.equals(user._id)) {
+    throw new AppError('Upload session not found', 404, 'UPLOAD_SESSION_NOT_FOUND');
+  }
+  return session;
+};
+
+// Pass a stream through while hashing and counting it
+const meter = () => {
+  const hash = crypto.createHash('sha256');
+  const counter = new Transform({
+    transform(chunk, encoding, done) {
+      hash.update(chunk);
+      counter.bytes += chunk.length;
+      done(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  counter.digest = () => hash.digest('hex');
+  return counter;
+};
+
+const deleteChunks = (session) => {
+  const adapter = getStorage(session.storageBackend);
+  return Promise.all(session.chunks.map(chunk => adapter.delete(chunk.storageLocation)));
+};
+
+const createSession = async (user, fields, now = new Date()) => {
+  if (!isAllowedType(fields.mimeType)) {
+    throw new AppError(`File type ${fields.mimeType} is not allowed`, 400, 'FILE_TYPE_NOT_ALLOWED');
+  }
+  if (fields.size > MAX_UPLOAD_BYTES) {
+    throw new AppError(`Files can be at most ${MAX_UPLOAD_BYTES} bytes`, 413, 'FILE_TOO_LARGE');
+  }
+
+  const relatedTo = await resolveRelated(user, fields.relatedType, fields.relatedId);
+
+  return UploadSession.create({
+    uploadedBy: user._id,
+    relatedTo,
+    originalName: fields.originalName,
+    mimeType: fields.mimeType,
+    size: fields.size,
+    checksum: fields.checksum,
+    isPublic: fields.isPublic,
+    tags: fields.tags,
+    description: fields.description,
+    storageBackend: getActiveStorage().name,
+    expiresAt: expiresFrom(now)
+  });
+};
+
+// Store the next chunk of a session. Chunks must arrive in order: the offset
+// has to match the bytes received so far, which the client reads back from
+// the session to resume after a dropped connection.
+const appendChunk = async (session, { offset, length, body }, now = new Date()) => {
+  if (session.status !== 'uploading') {
+    throw new AppError('Upload session is no longer accepting data', 409, 'UPLOAD_SESSION_CLOSED');
+  }
+  if (offset !== session.receivedBytes) {
+    throw new AppError(`Expected offset ${session.receivedBytes}`, 409, 'OFFSET_MISMATCH');
+  }
+  if (!Number.isInteger(length) || length < 1) {
+    throw new AppError('Chunk length is required', 411, 'LENGTH_REQUIRED');
+  }
+  if (length > MAX_CHUNK_BYTES) {
+    throw new AppError(`Chunks can be at most ${MAX_CHUNK_BYTES} bytes`, 413, 'CHUNK_TOO_LARGE');
+  }
+  if (offset + length > session.size) {
+    throw new AppError('Chunk runs past the end of the file', 400, 'CHUNK_OUT_OF_RANGE');
+  }
+
+  const adapter = getStorage(session.storageBackend);
+  // A random suffix keeps a retried chunk from overwriting an attempt still
+  // in flight for the same offset
+  const key = `chunks/${session._id}/${String(offset).padStart(13, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+  const counter = meter();
+  pipeline(body, counter, () => {});
+
+  const { storageLocation } = await adapter.put(key, counter, { contentType: 'application/octet-stream' });
+
+  if (counter.bytes !== length) {
+    await adapter.delete(storageLocation);
+    throw new AppError(`Received ${counter.bytes} of ${length} chunk bytes`, 400, 'INCOMPLETE_CHUNK');
+  }
+
+  // Only the first of two racing appends for an offset is recorded
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', receivedBytes: offset },
+    {
+      $push: { chunks: { offset, size: length, storageLocation } },
+      $inc: { receivedBytes: length },
+      $set: { expiresAt: expiresFrom(now) }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await adapter.delete(storageLocation);
+    throw new AppError('Upload session changed while the chunk was stored', 409, 'OFFSET_MISMATCH');
+  }
+  return updated;
+};
+
+// Assemble the chunks into a single stored file, hashing it on the way
+const assemble = async (session) => {
+  const chunkStorage = getStorage(session.storageBackend);
+  const adapter = getActiveStorage();
+  const { key, filename } = buildKey(session.originalName, session.mimeType);
+
+  async function* content() {
+    for (const chunk of session.chunks) {
+      const stream = await chunkStorage.get(chunk.storageLocation);
+      if (!stream) {
+        throw new AppError('Upload data is missing; start the upload again', 410, 'UPLOAD_DATA_MISSING');
+      }
+      yield* stream;
+    }
+  }
+
+  const counter = meter();
+  pipeline(Readable.from(content()), counter, () => {});
+  const { storageLocation } = await adapter.put(key, counter, { contentType: session.mimeType });
+
+  return {
+    filename,
+    originalname: session.originalName,
+    mimetype: session.mimeType,
+    size: counter.bytes,
+    storageBackend: adapter.name,
+    storageLocation,
+    checksum: counter.digest()
+  };
+};
+
+// Turn a fully received session into a File. Completing twice returns the
+// same File, so a client can retry when the response is lost, or a 404 once
+// that File has been deleted.
+const completeSession = async (req, session) => {
+  if (session.status === 'completed') {
+    const file = await File.findById(session.file);
+    if (!file) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+    return file;
+  }
+  if (!session.isFullyReceived) {
+    throw new AppError(`Received ${session.receivedBytes} of ${session.size} bytes`, 409, 'UPLOAD_INCOMPLETE');
+  }
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $set: { status: 'completing' } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new AppError('Upload session is already being completed', 409, 'UPLOAD_SESSION_CLOSED');
+  }
+
+  // Let the client retry completing after a failure
+  const release = () => UploadSession.updateOne(
+    { _id: claimed._id, status: 'completing' },
+    { $set: { status: 'uploading' } }
+  );
+
+  let upload;
+  try {
+    upload = await assemble(claimed);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  if (upload.checksum !== claimed.checksum) {
+    // The chunks are unusable; the client has to upload the file again
+    await discardUpload(upload);
+    await deleteChunks(claimed);
+    await claimed.deleteOne();
+    throw new AppError('Uploaded content does not match the checksum', 422, 'CHECKSUM_MISMATCH');
+  }
+
+  let file;
+  try {
+    file = await File.create(await buildFileRecord(req, upload, {
+      relatedTo: claimed.relatedTo,
+      isPublic: claimed.isPublic,
+      tags: claimed.tags,
+      description: claimed.description
+    }));
+  } catch (error) {
+    await discardUpload(upload);
+    await release();
+    throw error;
+  }
+
+  await deleteChunks(claimed).catch(error => {
+    logger.warn('Could not remove upload chunks', { session: claimed._id, error: error.message });
+  });
+  claimed.status = 'completed';
+  claimed.file = file._id;
+  claimed.chunks = [];
+  await claimed.save();
+
+  logger.info('Resumable upload completed', { session: claimed._id, file: file._id, size: file.size });
+
+  return file;
+};
+
+const abortSession = async (session) => {
+  await deleteChunks(session);
+  await session.deleteOne();
+};
+
+// Remove expired sessions and their chunks. A session stuck completing
+// (e.g. the server restarted mid-way) is treated as expired once it has not
+// changed for a full TTL.
+const collectExpiredSessions = async ({ now = new Date() } = {}) => {
+  const result = { removed: 0, bytes: 0 };
+
+  const cursor = UploadSession.find({
+    $or: [
+      { status: { $in: ['uploading', 'completed'] }, expiresAt: { $lt: now } },
+      { status: 'completing', updatedAt: { $lt: new Date(now.getTime() - SESSION_TTL_MS) } }
+    ]
+  }).cursor();
+
+  for await (const session of cursor) {
+    try {
+      await deleteChunks(session);
+      await session.deleteOne();
+      result.removed += 1;
+      result.bytes += session.status === 'completed' ? 0 : session.receivedBytes;
+    } catch (error) {
+      logger.error(`Could not remove upload session ${session._id}:`, error);
+    }
+  }
+
+  logger.info('Upload session cleanup finished', result);
+
+  return result;
+};
+
+// Collect expired sessions in-process on an interval. Returns a function that stops it.
+const startUploadSessionGc = ({
+  intervalMs = DEFAULT_GC_INTERVAL_MS,
+  clock = () => new Date()
+} = {}) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+    try {
+      await collectExpiredSessions({ now: clock() });
+    } catch (error) {
+      logger.error('Upload session cleanup failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  logger.info(`Upload session cleanup started (every ${intervalMs}ms)`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  MAX_CHUNK_BYTES,
+  findSession,
+  createSession,
+  appendChunk,
+  completeSession,
+  abortSession,
+  collectExpiredSessions,
+  startUploadSessionGc
+};
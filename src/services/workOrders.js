@@ -0,0 +1,276 @@
+const WorkOrder = require('../models/WorkOrder');
+const Robot = require('../models/Robot');
+const User = require('../models/User');
+const Inspection = require('../models/Inspection');
+const { AppError } = require('../middleware/errorHandler');
+const { inTransaction } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days allowed to resolve a work order, by priority
+const DUE_IN_DAYS = {
+  critical: 2,
+  high: 7,
+  medium: 14,
+  low: 30
+};
+
+// Checklist items that generate work orders when they fail. Charging and
+// physical damage take the robot out of service, so they are critical.
+const CHECKLIST_ITEMS = {
+  displayCheck: { title: 'Display check failed', priority: 'medium' },
+  chargingCheck: { title: 'Charging check failed', priority: 'critical' },
+  chargerCheck: { title: 'Charger check failed', priority: 'critical' }
+};
+const DOOR_TESTS = ['door1', 'door2', 'door3', 'door4'];
+
+// Allowed status transitions. Reopening a closed work order is restricted to admins.
+const TRANSITIONS = {
+  open: {
+    in_progress: { roles: ['admin', 'technician'] },
+    on_hold: { roles: ['admin', 'technician'], requiresReason: true },
+    cancelled: { roles: ['admin'], requiresReason: true }
+  },
+  in_progress: {
+    on_hold: { roles: ['admin', 'technician'], requiresReason: true },
+    completed: { roles: ['admin', 'technician'] },
+    cancelled: { roles: ['admin'], requiresReason: true }
+  },
+  on_hold: {
+    in_progress: { roles: ['admin', 'technician'] },
+    cancelled: { roles: ['admin'], requiresReason: true }
+  },
+  completed: {
+    open: { roles: ['admin'], requiresReason: true }
+  },
+  cancelled: {
+    open: { roles: ['admin'], requiresReason: true }
+  }
+};
+
+const dueDateFor = (priority, from = new Date()) => new Date(from.getTime() + DUE_IN_DAYS[priority] * DAY_MS);
+
+// List the failed items on an inspection as work order drafts
+const getFailedItems = (inspection) => {
+  const items = [];
+  const checklist = inspection.checklist || {};
+
+  // Maintenance items are free text, so two can share a name; key them by id
+  inspection.maintenanceItems.forEach(entry => {
+    if (entry.status !== 'failed') return;
+    items.push({
+      sourceItem: `maintenanceItems.${entry._id}`,
+      title: `${entry.item} failed`,
+      description: entry.notes,
+      priority: 'medium'
+    });
+  });
+
+  Object.entries(CHECKLIST_ITEMS).forEach(([key, { title, priority }]) => {
+    const check = checklist[key];
+    if (!check || check.status !== 'fail') return;
+    items.push({ sourceItem: `checklist.${key}`, title, description: check.notes, priority });
+  });
+
+  const damage = checklist.damageAssessment;
+  if (damage && damage.hasDamage) {
+    items.push({
+      sourceItem: 'checklist.damageAssessment',
+      title: 'Damage found',
+      description: damage.description,
+      priority: 'critical'
+    });
+  }
+
+  const hardwareTests = checklist.hardwareTests || {};
+  DOOR_TESTS.forEach(key => {
+    const door = hardwareTests[key];
+    if (!door || door.isWorking) return;
+    items.push({
+      sourceItem: `checklist.hardwareTests.${key}`,
+      title: `Door ${door.doorNumber} not working`,
+      description: door.notes,
+      priority: 'high'
+    });
+  });
+
+  return items;
+};
+
+// Create a work order for each failed item on an inspection that does not
+// have one yet, so completing a reopened inspection does not duplicate them
+const generateWorkOrders = async (inspection, session) => {
+  const items = getFailedItems(inspection);
+  if (items.length === 0) return [];
+
+  const existing = await WorkOrder.find({ inspection: inspection._id })
+    .select('sourceItem')
+    .session(session);
+  const seen = new Set(existing.map(workOrder => workOrder.sourceItem));
+
+  const now = new Date();
+  const docs = items
+    .filter(item => !seen.has(item.sourceItem))
+    .map(item => ({
+      ...item,
+      assignee: inspection.technician,
+      dueDate: dueDateFor(item.priority, now),
+      inspection: inspection._id,
+      robot: inspection.robot,
+      customer: inspection.customer,
+      createdBy: inspection.technician,
+      statusHistory: [{ to: 'open', changedBy: inspection.technician, changedAt: now }]
+    }));
+
+  if (docs.length === 0) return [];
+
+  return WorkOrder.insertMany(docs, { session });
+};
+
+// Keep a robot in maintenance while it has open critical work orders, and
+// put it back into service once the last one is closed. A robot that was
+// already in maintenance, e.g. set by an admin, is left there.
+const syncRobotStatus = async (robotId, session) => {
+  const robot = await Robot.findById(robotId).session(session);
+  if (!robot || robot.status === 'retired') return robot;
+
+  const blocked = await WorkOrder.hasOpenCritical(robotId, session);
+
+  if (blocked && robot.status !== 'maintenance') {
+    robot.status = 'maintenance';
+    robot.heldForWorkOrders = true;
+    await robot.save();
+  } else if (!blocked && robot.status === 'maintenance' && robot.heldForWorkOrders) {
+    robot.status = 'active';
+    robot.heldForWorkOrders = false;
+    await robot.save();
+  }
+
+  return robot;
+};
+
+const checkAssignee = async (assigneeId, session) => {
+  const assignee = await User.findOne({ _id: assigneeId, isActive: true }).session(session);
+  if (!assignee) {
+    throw new AppError('Assignee not found', 404, 'ASSIGNEE_NOT_FOUND');
+  }
+};
+
+// Create a work order by hand against a robot, optionally linked to an inspection
+const createWorkOrder = (data, user) => inTransaction(async (session) => {
+  const robot = await Robot.findById(data.robot).session(session);
+  if (!robot) {
+    throw new AppError('Robot not found', 404, 'ROBOT_NOT_FOUND');
+  }
+
+  if (data.inspection) {
+    const inspection = await Inspection.findById(data.inspection).session(session);
+    if (!inspection || !inspection.robot.equals(robot._id)) {
+      throw new AppError('Inspection not found for this robot', 404, 'INSPECTION_NOT_FOUND');
+    }
+  }
+
+  if (data.assignee) {
+    await checkAssignee(data.assignee, session);
+  }
+
+  const priority = data.priority || 'medium';
+  const [workOrder] = await WorkOrder.create([{
+    ...data,
+    priority,
+    dueDate: data.dueDate || dueDateFor(priority),
+    customer: robot.customerId,
+    createdBy: user._id,
+    statusHistory: [{ to: 'open', changedBy: user._id }]
+  }], { session });
+
+  await syncRobotStatus(robot._id, session);
+
+  return workOrder;
+});
+
+// Update the details of a work order; status changes go through transitionWorkOrder
+const updateWorkOrder = (workOrderId, updates) => inTransaction(async (session) => {
+  const workOrder = await WorkOrder.findById(workOrderId).session(session);
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404, 'WORK_ORDER_NOT_FOUND');
+  }
+
+  if (updates.assignee) {
+    await checkAssignee(updates.assignee, session);
+  }
+
+  const priorityChanged = Boolean(updates.priority) && updates.priority !== workOrder.priority;
+
+  workOrder.set(updates);
+  await workOrder.save();
+
+  if (priorityChanged) {
+    await syncRobotStatus(workOrder.robot, session);
+  }
+
+  return workOrder;
+});
+
+// Move a work order through its lifecycle. Technicians may only work on
+// orders assigned to them; starting an unassigned order assigns it.
+const transitionWorkOrder = (workOrderId, to, user, { reason, resolution } = {}) => inTransaction(async (session) => {
+  const workOrder = await WorkOrder.findById(workOrderId).session(session);
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404, 'WORK_ORDER_NOT_FOUND');
+  }
+
+  const from = workOrder.status;
+  const rule = (TRANSITIONS[from] || {})[to];
+
+  if (!rule) {
+    throw new AppError(`Cannot transition work order from ${from} to ${to}`, 409, 'INVALID_TRANSITION');
+  }
+
+  if (!rule.roles.includes(user.role)) {
+    throw new AppError(
+      `Only ${rule.roles.join(' or ')} users can transition work order from ${from} to ${to}`,
+      403,
+      'TRANSITION_FORBIDDEN'
+    );
+  }
+
+  if (user.role !== 'admin' && workOrder.assignee && !workOrder.assignee.equals(user._id)) {
+    throw new AppError('This work order is assigned to another technician', 403, 'WORK_ORDER_NOT_ASSIGNED');
+  }
+
+  if (rule.requiresReason && !reason) {
+    throw new AppError(`A reason is required to transition work order from ${from} to ${to}`, 400, 'TRANSITION_REASON_REQUIRED');
+  }
+
+  if (!workOrder.assignee && to === 'in_progress') {
+    workOrder.assignee = user._id;
+  }
+
+  workOrder.status = to;
+  if (to === 'completed') {
+    workOrder.completedAt = new Date();
+    workOrder.resolution = resolution;
+  } else if (to === 'open') {
+    workOrder.completedAt = undefined;
+  }
+
+  workOrder.statusHistory.push({ from, to, changedBy: user._id, changedAt: new Date(), reason });
+  await workOrder.save();
+
+  if (workOrder.priority === 'critical') {
+    await syncRobotStatus(workOrder.robot, session);
+  }
+
+  return workOrder;
+});
+
+module.exports = {
+  TRANSITIONS,
+  getFailedItems,
+  generateWorkOrders,
+  syncRobotStatus,
+  createWorkOrder,
+  updateWorkOrder,
+  transitionWorkOrder
+};
@@ -0,0 +1,67 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres between two { latitude, longitude } points
+const haversineKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const isValidPosition = (latitude, longitude) =>
+  typeof latitude === 'number' && typeof longitude === 'number' &&
+  latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+
+// Read { latitude, longitude } from a stored GeoJSON point, or null when unset
+const toPoint = (value) => {
+  if (!value || !Array.isArray(value.coordinates)) return null;
+
+  const [longitude, latitude] = value.coordinates;
+  if (!isValidPosition(latitude, longitude)) return null;
+
+  return { latitude, longitude };
+};
+
+// Build a GeoJSON point from { latitude, longitude } or an existing GeoJSON
+// point. Returns undefined for anything that is not a usable position.
+const toGeoPoint = (value) => {
+  if (!value) return undefined;
+
+  const [longitude, latitude] = Array.isArray(value.coordinates)
+    ? value.coordinates
+    : [value.longitude, value.latitude];
+
+  return isValidPosition(latitude, longitude)
+    ? { type: 'Point', coordinates: [longitude, latitude] }
+    : undefined;
+};
+
+// Aggregation stages returning documents within radiusKm of a point, nearest
+// first, each with its distance in kilometres as distanceKm
+const nearPipeline = ({ latitude, longitude, radiusKm, key, query = {}, limit }) => [
+  {
+    $geoNear: {
+      near: { type: 'Point', coordinates: [longitude, latitude] },
+      key,
+      distanceField: 'distanceKm',
+      distanceMultiplier: 0.001,
+      maxDistance: radiusKm * 1000,
+      spherical: true,
+      query
+    }
+  },
+  { $limit: limit },
+  { $set: { distanceKm: { $round: ['$distanceKm', 3] } } }
+];
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  haversineKm,
+  toPoint,
+  toGeoPoint,
+  nearPipeline
+};
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Run fn inside a transaction and return its result
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { inTransaction };
@@ -0,0 +1,170 @@
+jest.mock('../../src/models/Robot', () => ({ aggregate: jest.fn(), countDocuments: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const { getAlerts, acknowledgeAlerts } = require('../../src/controllers/alertController');
+const { validate, schemas } = require('../../src/middleware/validation');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Run an asyncHandler-wrapped controller until it responds or fails
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+// Parse a query string's values the way the alerts route does
+const validQuery = (query) => {
+  const req = { query, path: '/alerts' };
+  validate(schemas.alertQuery, 'query')(req, {}, jest.fn());
+  return req.query;
+};
+
+describe('alerts', () => {
+  const user = { _id: id(), role: 'technician' };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('listing', () => {
+    const list = async (query, facet = { alerts: [], total: [] }) => {
+      Robot.aggregate.mockResolvedValue([facet]);
+      const response = await call(getAlerts, { query: validQuery(query), user });
+      const [pipeline] = Robot.aggregate.mock.calls[0];
+      return { ...response, pipeline };
+    };
+
+    it('filters robots before unwinding and alerts after', async () => {
+      const customer = id().toString();
+
+      const { pipeline } = await list({
+        customer,
+        severity: 'high',
+        type: 'battery_low',
+        acknowledged: 'false',
+        startDate: '2026-01-01',
+        endDate: '2026-02-01'
+      });
+
+      expect(pipeline[0]).toEqual({
+        $match: { 'alerts.0': { $exists: true }, customerId: new mongoose.Types.ObjectId(customer) }
+      });
+      expect(pipeline[1]).toEqual({ $unwind: '$alerts' });
+      expect(pipeline[2]).toEqual({
+        $match: {
+          'alerts.severity': 'high',
+          'alerts.type': 'battery_low',
+          'alerts.acknowledged': false,
+          'alerts.createdAt': { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') }
+        }
+      });
+      expect(pipeline[3]).toEqual({ $sort: { 'alerts.createdAt': -1 } });
+    });
+
+    it('matches every alert when no filters are given', async () => {
+      const { pipeline } = await list({});
+
+      expect(pipeline[0]).toEqual({ $match: { 'alerts.0': { $exists: true } } });
+      expect(pipeline[2]).toEqual({ $match: {} });
+    });
+
+    it('pages inside the facet and counts the whole match', async () => {
+      const { pipeline } = await list({ page: '3', limit: '25' });
+      const { $facet } = pipeline[4];
+
+      expect($facet.alerts.slice(0, 2)).toEqual([{ $skip: 50 }, { $limit: 25 }]);
+      expect($facet.total).toEqual([{ $count: 'count' }]);
+    });
+
+    it('returns the page of alerts with pagination from the total', async () => {
+      const alerts = [{ _id: id(), type: 'offline' }];
+
+      const { res, body } = await list({ page: '2', limit: '10' }, { alerts, total: [{ count: 25 }] });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(body.data.alerts).toBe(alerts);
+      expect(body.data.pagination).toEqual({ page: 2, limit: 10, total: 25, pages: 3 });
+    });
+
+    it('reports an empty total when nothing matches', async () => {
+      const { body } = await list({});
+
+      expect(body.data.pagination).toEqual({ page: 1, limit: 20, total: 0, pages: 0 });
+    });
+  });
+
+  describe('bulk acknowledge', () => {
+    let robots;
+
+    // Apply an updateMany with arrayFilters to the robots in memory
+    const applyUpdate = async (filter, update, { arrayFilters: [alertFilter] }) => {
+      const ids = alertFilter['alert._id'].$in.map(String);
+      let modifiedCount = 0;
+
+      robots.forEach(robot => {
+        const targets = robot.alerts.filter(alert =>
+          ids.includes(String(alert._id)) && alert.acknowledged === alertFilter['alert.acknowledged']);
+        targets.forEach(alert => {
+          alert.acknowledged = update.$set['alerts.$[alert].acknowledged'];
+          alert.acknowledgedBy = update.$set['alerts.$[alert].acknowledgedBy'];
+          alert.acknowledgedAt = update.$set['alerts.$[alert].acknowledgedAt'];
+        });
+        if (targets.length > 0) modifiedCount++;
+      });
+
+      return { modifiedCount };
+    };
+
+    beforeEach(() => {
+      robots = [];
+      Robot.countDocuments.mockImplementation(async ({ 'alerts._id': { $in: ids } }) =>
+        robots.filter(robot => robot.alerts.some(alert => ids.some(alertId => alertId.equals(alert._id)))).length);
+      Robot.updateMany.mockImplementation(applyUpdate);
+    });
+
+    const alert = (fields = {}) => ({ _id: id(), acknowledged: false, ...fields });
+
+    it('acknowledges the listed alerts across robots', async () => {
+      const first = alert();
+      const second = alert();
+      const untouched = alert();
+      robots = [{ alerts: [first, untouched] }, { alerts: [second] }];
+
+      const { body } = await call(acknowledgeAlerts, {
+        body: { alertIds: [first._id.toString(), second._id.toString()] },
+        user
+      });
+
+      expect(body.data).toMatchObject({ requested: 2, robotsUpdated: 2, acknowledgedBy: user._id });
+      expect(first).toMatchObject({ acknowledged: true, acknowledgedBy: user._id });
+      expect(second).toMatchObject({ acknowledged: true, acknowledgedBy: user._id });
+      expect(untouched.acknowledged).toBe(false);
+    });
+
+    it('keeps the original acknowledger on alerts that were already acknowledged', async () => {
+      const earlier = { acknowledged: true, acknowledgedBy: id(), acknowledgedAt: new Date('2026-01-01') };
+      const acknowledged = alert(earlier);
+      robots = [{ alerts: [acknowledged] }];
+
+      const { body } = await call(acknowledgeAlerts, { body: { alertIds: [acknowledged._id.toString()] }, user });
+
+      expect(body.data.robotsUpdated).toBe(0);
+      expect(acknowledged).toMatchObject(earlier);
+      expect(Robot.updateMany).toHaveBeenCalledWith(
+        { 'alerts._id': { $in: [acknowledged._id] } },
+        expect.any(Object),
+        { arrayFilters: [{ 'alert._id': { $in: [acknowledged._id] }, 'alert.acknowledged': false }] }
+      );
+    });
+
+    it('rejects a request where none of the alerts exist', async () => {
+      const { error } = await call(acknowledgeAlerts, { body: { alertIds: [id().toString()] }, user });
+
+      expect(error).toMatchObject({ statusCode: 404, code: 'ALERTS_NOT_FOUND' });
+      expect(Robot.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/models/Component', () => ({ exists: jest.fn(), create: jest.fn(), findOne: jest.fn() }));
+jest.mock('../../src/models/Inspection', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Robot', () => ({}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Component = require('../../src/models/Component');
+const Inspection = require('../../src/models/Inspection');
+const { installComponent, replaceComponent } = require('../../src/controllers/componentController');
+
+const id = () => new mongoose.Types.ObjectId();
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+// Run an asyncHandler-wrapped controller until it responds or fails
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('component installation', () => {
+  const user = { _id: id(), role: 'technician' };
+  const inspection = { _id: id(), robot: id(), technician: user._id, status: 'in_progress' };
+  let installed;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn()
+    });
+    installed = [];
+
+    Inspection.findById.mockReturnValue(query(inspection));
+    // Answer exists() from the installed components in memory
+    Component.exists.mockImplementation((filter) => query(installed.some(component =>
+      Object.entries(filter).every(([field, value]) => String(component[field]) === String(value)))));
+    Component.create.mockImplementation(async (fields) => {
+      const created = [].concat(fields).map(doc => ({ _id: id(), status: 'installed', ...doc }));
+      installed.push(...created);
+      return Array.isArray(fields) ? created : created[0];
+    });
+  });
+
+  const install = (body) => call(installComponent, { params: { id: inspection._id }, body, user });
+
+  it('installs a part into a free slot', async () => {
+    const { res, body } = await install({ partSerial: 'ACT-1', type: 'door_actuator', position: 'door-1' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(body.data.component).toMatchObject({ partSerial: 'ACT-1', robot: inspection.robot });
+    expect(Component.create).toHaveBeenCalledWith([expect.any(Object)], { session: expect.any(Object) });
+  });
+
+  it('only lets the assigned technician or an admin install parts', async () => {
+    const body = { partSerial: 'ACT-1', type: 'door_actuator', position: 'door-1' };
+    const otherTechnician = { _id: id(), role: 'technician' };
+
+    const { error } = await call(installComponent, { params: { id: inspection._id }, body, user: otherTechnician });
+    expect(error).toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    expect(installed).toHaveLength(0);
+
+    const { res } = await call(installComponent, { params: { id: inspection._id }, body, user: { _id: id(), role: 'admin' } });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('only lets the assigned technician replace parts', async () => {
+    Component.findOne.mockReturnValue(query({ _id: id(), status: 'installed' }));
+
+    const { error } = await call(replaceComponent, {
+      params: { id: inspection._id, componentId: id() },
+      body: { replacement: { partSerial: 'ACT-2' }, reason: 'Worn out' },
+      user: { _id: id(), role: 'technician' }
+    });
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    expect(Component.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a part that is already installed', async () => {
+    await install({ partSerial: 'ACT-1', type: 'door_actuator', position: 'door-1' });
+
+    const { error } = await install({ partSerial: 'ACT-1', type: 'door_actuator', position: 'door-2' });
+
+    expect(error).toMatchObject({ statusCode: 409, code: 'COMPONENT_ALREADY_INSTALLED' });
+  });
+
+  it('rejects installing into an occupied slot', async () => {
+    await install({ partSerial: 'ACT-1', type: 'door_actuator', position: 'door-1' });
+
+    const { error } = await install({ partSerial: 'ACT-2', type: 'door_actuator', position: 'door-1' });
+
+    expect(error).toMatchObject({ statusCode: 409, code: 'SLOT_OCCUPIED' });
+    expect(installed).toHaveLength(1);
+  });
+
+  it('allows several parts of a type without positions', async () => {
+    await install({ partSerial: 'SEN-1', type: 'sensor' });
+    const { error } = await install({ partSerial: 'SEN-2', type: 'sensor' });
+
+    expect(error).toBeUndefined();
+    expect(installed).toHaveLength(2);
+  });
+
+  it('frees the slot before fitting a replacement', async () => {
+    await install({ partSerial: 'ACT-1', type: 'door_actuator', position: 'door-1' });
+    const old = installed[0];
+    old.markRemoved = jest.fn(function({ replacedBy }) {
+      this.status = 'removed';
+      this.replacedBy = replacedBy;
+    });
+    old.save = jest.fn();
+    Component.findOne.mockReturnValue(query(old));
+
+    const { body } = await call(replaceComponent, {
+      params: { id: inspection._id, componentId: old._id },
+      body: { replacement: { partSerial: 'ACT-2' }, reason: 'Worn out' },
+      user
+    });
+
+    expect(body.data.installed).toMatchObject({ partSerial: 'ACT-2', position: 'door-1', replaces: old._id });
+    expect(old.replacedBy).toEqual(body.data.installed._id);
+    expect(old.save.mock.invocationCallOrder[0]).toBeLessThan(Component.create.mock.invocationCallOrder[1]);
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/models/File', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/fileAccess', () => ({}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../../src/models/File');
+const { setStorage } = require('../../src/services/storage');
+const { createLocalStorage } = require('../../src/services/storage/localStorage');
+const { createMemoryStorage } = require('../../src/services/storage/memoryStorage');
+const { deleteFileRecord } = require('../../src/controllers/fileController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Run an asyncHandler-wrapped controller until it responds or fails
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('file deletion', () => {
+  const uploader = { _id: id(), role: 'technician' };
+  let storage;
+
+  const fileRecord = (fields = {}) => ({
+    _id: id(),
+    uploadedBy: uploader._id,
+    storageBackend: 'memory',
+    storageLocation: 'images/2026/photo.jpg',
+    variants: { thumbnail: { storageLocation: 'images/2026/photo-thumb.webp' } },
+    deleteOne: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  const remove = (file, user = uploader) => {
+    File.findById.mockResolvedValue(file);
+    return call(deleteFileRecord, { params: { id: file._id }, user });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = createMemoryStorage();
+    setStorage('memory', storage);
+  });
+
+  it('deletes the stored object, its variants and the record', async () => {
+    const file = fileRecord();
+    await storage.put(file.storageLocation, Buffer.from('photo'));
+    await storage.put(file.variants.thumbnail.storageLocation, Buffer.from('thumb'));
+    const deleteObject = jest.spyOn(storage, 'delete');
+
+    const { res } = await remove(file);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(deleteObject).toHaveBeenCalledWith(file.storageLocation);
+    expect(storage.objects.size).toBe(0);
+    expect(file.deleteOne).toHaveBeenCalled();
+  });
+
+  it('removes the record when the stored object is already gone', async () => {
+    const file = fileRecord();
+
+    const { res } = await remove(file);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(file.deleteOne).toHaveBeenCalled();
+  });
+
+  it('treats a missing file on local disk the same way', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-delete-'));
+    setStorage('local', createLocalStorage({ root }));
+    // Files recorded before storage was pluggable have no backend and live on disk
+    const file = fileRecord({ storageBackend: undefined, storageLocation: path.join(root, 'missing.pdf'), variants: {} });
+
+    try {
+      const { res } = await remove(file);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(file.deleteOne).toHaveBeenCalled();
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the record when the stored object cannot be deleted', async () => {
+    const file = fileRecord();
+    jest.spyOn(storage, 'delete').mockRejectedValue(new Error('Access denied'));
+
+    const { error } = await remove(file);
+
+    expect(error.message).toBe('Access denied');
+    expect(file.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('only lets the uploader or an admin delete a file', async () => {
+    const file = fileRecord();
+    await storage.put(file.storageLocation, Buffer.from('photo'));
+
+    const { error } = await remove(file, { _id: id(), role: 'technician' });
+
+    expect(error).toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    expect(storage.objects.has(file.storageLocation)).toBe(true);
+    expect(file.deleteOne).not.toHaveBeenCalled();
+
+    const { res } = await remove(file, { _id: id(), role: 'admin' });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('reports a file that does not exist', async () => {
+    File.findById.mockResolvedValue(null);
+
+    const { error } = await call(deleteFileRecord, { params: { id: id() }, user: uploader });
+
+    expect(error).toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+  });
+});
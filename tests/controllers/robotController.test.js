@@ -0,0 +1,90 @@
+jest.mock('../../src/models/Customer', () => ({ findById: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const Customer = require('../../src/models/Customer');
+const { transferRobot } = require('../../src/controllers/robotController');
+
+const id = () => new mongoose.Types.ObjectId();
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+// Run a controller until it responds or fails
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('robot transfer', () => {
+  const user = { _id: id(), id: 'admin-1', role: 'admin' };
+  const customer = (companyName) => ({
+    _id: id(),
+    companyName,
+    addRobot: jest.fn(),
+    removeRobot: jest.fn()
+  });
+  let robot;
+  let from;
+  let to;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn()
+    });
+
+    from = customer('Acme');
+    to = customer('Globex');
+    robot = new Robot({
+      serialNumber: 'CR-1',
+      customerId: from._id,
+      ownershipHistory: [{ customer: from._id, from: new Date('2024-06-01T00:00:00.000Z') }]
+    });
+    jest.spyOn(robot, 'save').mockResolvedValue(robot);
+    jest.spyOn(robot, 'populate').mockResolvedValue(robot);
+    jest.spyOn(Robot, 'findById').mockReturnValue(query(robot));
+    Customer.findById.mockImplementation((customerId) =>
+      query([from, to].find(candidate => candidate._id.equals(customerId))));
+  });
+
+  const transfer = (body) => call(transferRobot, {
+    params: { id: robot._id },
+    body: { customerId: to._id.toString(), ...body },
+    user
+  });
+
+  it('closes the current period on the effective date', async () => {
+    const effectiveDate = new Date('2024-09-01T00:00:00.000Z');
+
+    const { res } = await transfer({ reason: 'Sold', effectiveDate });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(robot.customerId).toEqual(to._id);
+    expect(robot.ownershipHistory[0].to).toEqual(effectiveDate);
+    expect(robot.ownershipHistory[1]).toMatchObject({ customer: to._id, from: effectiveDate });
+    expect(from.removeRobot).toHaveBeenCalledWith(robot._id);
+    expect(to.addRobot).toHaveBeenCalledWith(robot._id);
+  });
+
+  it('rejects an effective date before the current owner took over', async () => {
+    const { error } = await transfer({ effectiveDate: new Date('2024-05-31T00:00:00.000Z') });
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'INVALID_EFFECTIVE_DATE' });
+    expect(robot.save).not.toHaveBeenCalled();
+    expect(robot.ownershipHistory).toHaveLength(1);
+    expect(robot.ownershipHistory[0].to).toBeUndefined();
+  });
+
+  it('measures untracked ownership from the installation date', async () => {
+    robot.ownershipHistory = [];
+    robot.specifications = { installationDate: new Date('2024-03-01T00:00:00.000Z') };
+
+    const { error } = await transfer({ effectiveDate: new Date('2024-02-01T00:00:00.000Z') });
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'INVALID_EFFECTIVE_DATE' });
+  });
+});
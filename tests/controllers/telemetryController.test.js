@@ -0,0 +1,96 @@
+jest.mock('../../src/models/Robot', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const Telemetry = require('../../src/models/Telemetry');
+const { ingestTelemetry, getTelemetry } = require('../../src/controllers/telemetryController');
+const { validate, schemas } = require('../../src/middleware/validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Run an asyncHandler-wrapped controller until it responds or fails
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+const validateBatch = (body) => {
+  const req = { body, path: '/telemetry' };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  validate(schemas.telemetryBatch)(req, res, next);
+  return { req, res, next };
+};
+
+describe('telemetry', () => {
+  const robot = { _id: new mongoose.Types.ObjectId(), serialNumber: 'CR-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Robot.findOne.mockReturnValue({ select: async () => robot });
+    jest.spyOn(Telemetry, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Telemetry, 'getDownsampled').mockResolvedValue([]);
+  });
+
+  describe('batch validation', () => {
+    it('accepts readings stamped slightly ahead of the server clock', () => {
+      const { next } = validateBatch({ readings: [{ timestamp: new Date(Date.now() + 60 * 1000).toISOString() }] });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('rejects readings from the future', () => {
+      const { res, next } = validateBatch({ readings: [{ timestamp: new Date(Date.now() + 365 * 24 * HOUR_MS).toISOString() }] });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('ingestTelemetry', () => {
+    it('records when the batch arrived rather than the device timestamps', async () => {
+      const before = Date.now();
+      const { res } = await call(ingestTelemetry, {
+        params: { serial: 'cr-1' },
+        device: { robotId: robot._id },
+        body: { readings: [{ timestamp: new Date(before - HOUR_MS), operationalHours: 12 }] }
+      });
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      const [, update] = Robot.updateOne.mock.calls[0];
+      expect(update.$set.lastSeenAt.getTime()).toBeGreaterThanOrEqual(before);
+      expect(update.$max).toEqual({ operationalHours: 12 });
+    });
+  });
+
+  describe('getTelemetry', () => {
+    const query = (from, to, window) => call(getTelemetry, {
+      params: { serial: 'CR-1' },
+      query: { from: new Date(from), to: new Date(to), window }
+    });
+
+    it('returns the downsampled series', async () => {
+      const { body } = await query('2026-03-01', '2026-03-02', '1h');
+
+      expect(body.success).toBe(true);
+      expect(Telemetry.getDownsampled).toHaveBeenCalled();
+    });
+
+    it('refuses ranges that split into too many windows', async () => {
+      const { error } = await query('2020-01-01', '2026-01-01', '1m');
+
+      expect(error).toMatchObject({ statusCode: 400, code: 'TOO_MANY_WINDOWS' });
+      expect(Telemetry.getDownsampled).not.toHaveBeenCalled();
+    });
+  });
+
+  it('counts the windows in a range', () => {
+    expect(Telemetry.countWindows(new Date('2026-03-01'), new Date('2026-03-02'), '1h')).toBe(24);
+    expect(Telemetry.countWindows(new Date('2026-03-01'), new Date('2026-03-02'), '15m')).toBe(96);
+    expect(Telemetry.countWindows(new Date('2026-03-01'), new Date('2026-03-31'), '1d')).toBe(30);
+  });
+});
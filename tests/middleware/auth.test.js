@@ -0,0 +1,98 @@
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/models/Robot', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/DeviceCredential', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const DeviceCredential = require('../../src/models/DeviceCredential');
+const { authenticateDevice, deviceJson } = require('../../src/middleware/auth');
+
+const secret = 'device-secret';
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+describe('HMAC device authentication', () => {
+  const robot = { _id: new mongoose.Types.ObjectId(), serialNumber: 'CR-1', status: 'active' };
+  let keyId;
+  let app;
+
+  beforeEach(() => {
+    // A fresh key per test keeps the replay cache from leaking between tests
+    keyId = crypto.randomBytes(8).toString('hex');
+    DeviceCredential.findOne.mockReturnValue({
+      select: async () => ({
+        _id: new mongoose.Types.ObjectId(),
+        keyId,
+        robot: robot._id,
+        scopes: ['telemetry:write'],
+        verifySignature: (payload, signature) => signature === sign(payload),
+        touch: jest.fn()
+      })
+    });
+    Robot.findById.mockReturnValue({ select: async () => robot });
+
+    app = express();
+    app.post('/telemetry', deviceJson, authenticateDevice('telemetry:write'), (req, res) => {
+      res.json({ success: true, body: req.body });
+    });
+  });
+
+  const send = (body, { timestamp = String(Date.now()), signature } = {}) => {
+    const raw = JSON.stringify(body);
+    const bodyHash = crypto.createHash('sha256').update(raw).digest('hex');
+    return request(app)
+      .post('/telemetry')
+      .set('Content-Type', 'application/json')
+      .set('X-Device-Id', keyId)
+      .set('X-Device-Timestamp', timestamp)
+      .set('X-Device-Signature', signature || sign([timestamp, 'POST', '/telemetry', bodyHash].join('\n')))
+      .send(raw);
+  };
+
+  it('accepts a fresh signed request and parses its body', async () => {
+    const res = await send({ readings: [] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({ readings: [] });
+  });
+
+  it('rejects a signature replayed within the freshness window', async () => {
+    const timestamp = String(Date.now());
+    const raw = JSON.stringify({ readings: [] });
+    const bodyHash = crypto.createHash('sha256').update(raw).digest('hex');
+    const signature = sign([timestamp, 'POST', '/telemetry', bodyHash].join('\n'));
+
+    expect((await send({ readings: [] }, { timestamp, signature })).status).toBe(200);
+
+    const replay = await send({ readings: [] }, { timestamp, signature });
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Device request has already been used');
+  });
+
+  it('rejects timestamps that are not epoch milliseconds', async () => {
+    const res = await send({ readings: [] }, { timestamp: new Date().toISOString() });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Device request timestamp out of range');
+  });
+
+  it('rejects stale requests', async () => {
+    const res = await send({ readings: [] }, { timestamp: String(Date.now() - 10 * 60 * 1000) });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a tampered body', async () => {
+    const timestamp = String(Date.now());
+    const bodyHash = crypto.createHash('sha256').update(JSON.stringify({ readings: [] })).digest('hex');
+    const signature = sign([timestamp, 'POST', '/telemetry', bodyHash].join('\n'));
+
+    const res = await send({ readings: [{ battery: 1 }] }, { timestamp, signature });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid device signature');
+  });
+});
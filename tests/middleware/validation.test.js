@@ -0,0 +1,32 @@
+jest.mock('../../src/utils/logger', () => ({ warn: jest.fn() }));
+
+const { validateRobotUpdate } = require('../../src/middleware/validation');
+
+const run = (middleware, body) => {
+  const req = { body, path: '/robots/1' };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('validateRobotUpdate', () => {
+  it('strips ownership fields so they can only change through a transfer', () => {
+    const { req, next } = run(validateRobotUpdate, {
+      model: 'CR-200',
+      status: 'maintenance',
+      customerId: '507f1f77bcf86cd799439011',
+      ownershipHistory: [{ customer: '507f1f77bcf86cd799439011', startDate: '2024-01-01' }]
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({ model: 'CR-200', status: 'maintenance' });
+  });
+
+  it('rejects invalid values', () => {
+    const { res, next } = run(validateRobotUpdate, { status: 'sold' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
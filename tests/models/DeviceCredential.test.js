@@ -0,0 +1,44 @@
+const DeviceCredential = require('../../src/models/DeviceCredential');
+
+describe('DeviceCredential secrets', () => {
+  const saved = { DEVICE_SECRET_KEY: process.env.DEVICE_SECRET_KEY, JWT_SECRET: process.env.JWT_SECRET };
+
+  beforeEach(() => {
+    process.env.DEVICE_SECRET_KEY = 'test-device-key';
+  });
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+
+  it('refuses to encrypt without its own key, even when JWT_SECRET is set', () => {
+    delete process.env.DEVICE_SECRET_KEY;
+    process.env.JWT_SECRET = 'jwt-secret';
+    const credential = new DeviceCredential({ type: 'hmac' });
+
+    expect(() => credential.setSecret()).toThrow(/DEVICE_SECRET_KEY must be set/);
+  });
+
+  it('encrypts HMAC secrets and verifies signatures made with them', () => {
+    const credential = new DeviceCredential({ type: 'hmac' });
+    const secret = credential.setSecret();
+
+    expect(credential.encryptedSecret).not.toContain(secret);
+
+    const signature = require('crypto').createHmac('sha256', secret).update('payload').digest('hex');
+    expect(credential.verifySignature('payload', signature)).toBe(true);
+    expect(credential.verifySignature('tampered', signature)).toBe(false);
+  });
+
+  it('only stores a hash of API key secrets', () => {
+    const credential = new DeviceCredential({ type: 'api_key' });
+    const secret = credential.setSecret();
+
+    expect(credential.encryptedSecret).toBeUndefined();
+    expect(credential.verifySecret(secret)).toBe(true);
+    expect(credential.verifySecret('wrong')).toBe(false);
+  });
+});
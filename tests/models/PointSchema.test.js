@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { PointSchema, pointPath, pointUpdatePlugin } = require('../../src/models/PointSchema');
+
+const Site = mongoose.model('PointSchemaTestSite', new mongoose.Schema({
+  name: String,
+  address: {
+    street: String,
+    coordinates: pointPath()
+  }
+}));
+
+// Run the plugin's update hook against a query the way mongoose would before casting
+const runUpdateHook = (paths, query) => {
+  const schema = { pre: jest.fn() };
+  pointUpdatePlugin(schema, { paths });
+
+  const [events, hook] = schema.pre.mock.calls[0];
+  const next = jest.fn();
+  hook.call(query, next);
+
+  return { events, next, update: query.getUpdate() };
+};
+
+describe('PointSchema', () => {
+  const Point = mongoose.model('PointSchemaTestPoint', new mongoose.Schema({ point: PointSchema }));
+  const errorFor = (point) => new Point({ point }).validateSync();
+
+  it('accepts [longitude, latitude] within range', () => {
+    expect(errorFor({ type: 'Point', coordinates: [-73.9967, 40.7484] })).toBeUndefined();
+    expect(errorFor({ type: 'Point', coordinates: [180, -90] })).toBeUndefined();
+  });
+
+  it('rejects out-of-range or incomplete coordinates', () => {
+    // Latitude and longitude swapped puts the latitude out of range
+    expect(errorFor({ type: 'Point', coordinates: [40.7484, -173.9967] }).errors['point.coordinates'].message)
+      .toBe('Coordinates must be [longitude, latitude]');
+    expect(errorFor({ type: 'Point', coordinates: [-181, 0] }).errors['point.coordinates']).toBeDefined();
+    expect(errorFor({ type: 'Point', coordinates: [10] }).errors['point.coordinates']).toBeDefined();
+  });
+
+  it('only accepts the Point type', () => {
+    expect(errorFor({ type: 'Polygon', coordinates: [0, 0] }).errors['point.type']).toBeDefined();
+  });
+});
+
+describe('pointPath', () => {
+  it('converts { latitude, longitude } to a GeoJSON point on assignment', () => {
+    const site = new Site({ address: { coordinates: { latitude: 40.7484, longitude: -73.9967 } } });
+
+    expect(site.address.coordinates.toObject()).toEqual({ type: 'Point', coordinates: [-73.9967, 40.7484] });
+  });
+
+  it('keeps GeoJSON points and drops unusable positions', () => {
+    const site = new Site({ address: { coordinates: { type: 'Point', coordinates: [2.35, 48.85] } } });
+    expect(site.address.coordinates.coordinates).toEqual([2.35, 48.85]);
+
+    site.address.coordinates = { latitude: 91, longitude: 0 };
+    expect(site.address.coordinates).toBeUndefined();
+  });
+});
+
+describe('pointUpdatePlugin', () => {
+  it('hooks every update query', () => {
+    const { events, next } = runUpdateHook(['address.coordinates'], Site.updateOne({}, {}));
+
+    expect(events).toEqual(['updateOne', 'updateMany', 'findOneAndUpdate']);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('converts a point set by its own path', () => {
+    const query = Site.updateOne({}, { $set: { 'address.coordinates': { latitude: 40.7484, longitude: -73.9967 } } });
+
+    const { update } = runUpdateHook(['address.coordinates'], query);
+
+    expect(update.$set['address.coordinates']).toEqual({ type: 'Point', coordinates: [-73.9967, 40.7484] });
+  });
+
+  it('converts a point inside a parent object being replaced', () => {
+    const query = Site.findOneAndUpdate({}, {
+      name: 'HQ',
+      address: { street: '1 Main St', coordinates: { latitude: 48.85, longitude: 2.35 } }
+    });
+
+    const { update } = runUpdateHook(['address.coordinates'], query);
+
+    expect(update.name).toBe('HQ');
+    expect(update.address).toEqual({
+      street: '1 Main St',
+      coordinates: { type: 'Point', coordinates: [2.35, 48.85] }
+    });
+  });
+
+  it('clears a point that is not a usable position', () => {
+    const query = Site.updateMany({}, { $set: { 'address.coordinates': { latitude: 'north', longitude: 0 } } });
+
+    const { update } = runUpdateHook(['address.coordinates'], query);
+
+    expect(update.$set['address.coordinates']).toBeNull();
+  });
+
+  it('leaves updates that do not touch the path alone', () => {
+    const query = Site.updateOne({}, { $set: { name: 'HQ', 'address.street': '2 Main St' } });
+
+    const { update } = runUpdateHook(['address.coordinates'], query);
+
+    expect(update.$set).toEqual({ name: 'HQ', 'address.street': '2 Main St' });
+  });
+});
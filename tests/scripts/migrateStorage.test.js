@@ -0,0 +1,178 @@
+jest.mock('../../src/models/File', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/services/fileAccess', () => ({
+  fileDownloadPath: (fileId) => `/api/v1/files/${fileId}/download`
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../../src/models/File');
+const { setStorage, readFile } = require('../../src/services/storage');
+const { createMemoryStorage } = require('../../src/services/storage/memoryStorage');
+const { migrateStorage } = require('../../scripts/migrateStorage');
+
+// Enough of a MongoDB update for the fields the migration touches
+const applyUpdate = (doc, { $set = {}, $unset = {} }) => {
+  Object.entries($set).forEach(([field, value]) => {
+    const parts = field.split('.');
+    const last = parts.pop();
+    parts.reduce((target, part) => target[part], doc)[last] = value;
+  });
+  Object.keys($unset).forEach(field => {
+    const parts = field.split('.');
+    const last = parts.pop();
+    delete parts.reduce((target, part) => target[part], doc)[last];
+  });
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+  if (field === '$or') return value.some(alternative => matches(doc, alternative));
+  if (value && value.$exists === false) return doc[field] === undefined;
+  return String(doc[field]) === String(value);
+});
+
+describe('migrateStorage', () => {
+  let files;
+  let source;
+  let target;
+  let reportDir;
+
+  const migrate = (options = {}) => migrateStorage({
+    from: 'memory',
+    to: 's3',
+    dryRun: false,
+    keepSource: false,
+    baseUrl: 'https://api.example.com',
+    reportPath: path.join(reportDir, 'report.json'),
+    ...options
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-test-'));
+
+    source = createMemoryStorage();
+    target = {
+      ...createMemoryStorage(),
+      name: 's3',
+      publicUrl: (key) => (key.startsWith('public/') ? `https://cdn.example.com/${key}` : null)
+    };
+    setStorage('memory', source);
+    setStorage('s3', target);
+
+    await source.put('documents/manual.pdf', Buffer.from('manual'));
+    await source.put('images/photo.jpg', Buffer.from('original'));
+    await source.put('public/images/abc_thumbnail.jpg', Buffer.from('thumbnail'));
+    await source.put('public/images/abc_web.jpg', Buffer.from('web'));
+
+    const photoId = new mongoose.Types.ObjectId();
+    files = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        storageBackend: 'memory',
+        storageLocation: 'documents/manual.pdf',
+        mimeType: 'application/pdf',
+        url: '/api/v1/files/1/download'
+      },
+      {
+        _id: photoId,
+        storageBackend: 'memory',
+        storageLocation: 'images/photo.jpg',
+        mimeType: 'image/jpeg',
+        isPublic: true,
+        url: `/api/v1/files/${photoId}/download`,
+        thumbnailUrl: `/api/v1/files/${photoId}/download?variant=thumbnail`,
+        variants: {
+          thumbnail: { storageLocation: 'public/images/abc_thumbnail.jpg', mimeType: 'image/jpeg' },
+          web: { storageLocation: 'public/images/abc_web.jpg', mimeType: 'image/jpeg' }
+        }
+      }
+    ];
+
+    File.find.mockImplementation((filter) => ({
+      lean: () => ({
+        cursor: () => files.filter(doc => matches(doc, filter)).map(doc => JSON.parse(JSON.stringify(doc)))
+      })
+    }));
+    File.updateOne.mockImplementation(async (filter, update) => {
+      const doc = files.find(candidate => matches(candidate, filter));
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      applyUpdate(doc, update);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('moves files and their variants to the target backend', async () => {
+    const report = await migrate();
+
+    expect(report).toMatchObject({ scanned: 2, migrated: 2, missing: [], changed: [], failed: [] });
+    expect(files.every(file => file.storageBackend === 's3')).toBe(true);
+    expect((await readFile(files[1])).toString()).toBe('original');
+    expect([...target.objects.keys()].sort()).toEqual([
+      'documents/manual.pdf',
+      'images/photo.jpg',
+      'public/images/abc_thumbnail.jpg',
+      'public/images/abc_web.jpg'
+    ]);
+    expect(source.objects.size).toBe(0);
+  });
+
+  it('does nothing when run again', async () => {
+    await migrate();
+    const migrated = JSON.parse(JSON.stringify(files));
+
+    const report = await migrate();
+
+    expect(report).toMatchObject({ scanned: 0, migrated: 0 });
+    expect(JSON.parse(JSON.stringify(files))).toEqual(migrated);
+    expect(target.objects.size).toBe(4);
+  });
+
+  it('finishes a run interrupted after copying', async () => {
+    // The first run copied the bytes but stopped before updating any record
+    await migrate({ keepSource: true });
+    files.forEach(file => { file.storageBackend = 'memory'; });
+
+    const report = await migrate();
+
+    expect(report).toMatchObject({ scanned: 2, migrated: 2 });
+    expect(target.objects.size).toBe(4);
+    expect(source.objects.size).toBe(0);
+  });
+
+  it('leaves records alone on a dry run', async () => {
+    const before = JSON.parse(JSON.stringify(files));
+
+    const report = await migrate({ dryRun: true });
+
+    expect(report).toMatchObject({ scanned: 2, migrated: 2 });
+    expect(JSON.parse(JSON.stringify(files))).toEqual(before);
+    expect(target.objects.size).toBe(0);
+    expect(source.objects.size).toBe(4);
+  });
+
+  it('removes its copies when the record changed during the migration', async () => {
+    File.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+    const report = await migrate();
+
+    expect(report.changed).toHaveLength(2);
+    expect(target.objects.size).toBe(0);
+    expect(source.objects.size).toBe(4);
+  });
+
+  it('reports files whose content is missing', async () => {
+    await source.delete('documents/manual.pdf');
+
+    const report = await migrate();
+
+    expect(report.missing).toEqual([{ id: files[0]._id.toString(), storageLocation: 'documents/manual.pdf' }]);
+    expect(files[0].storageBackend).toBe('memory');
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const { evaluateRobot } = require('../../src/services/alertEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('evaluateRobot', () => {
+  const now = new Date('2026-03-01T08:00:00Z');
+  let robot;
+
+  beforeEach(() => {
+    robot = new Robot({
+      serialNumber: 'CR-1',
+      model: 'CR-200',
+      customerId: new mongoose.Types.ObjectId(),
+      specifications: { installationDate: new Date('2024-01-01') },
+      nextMaintenanceDate: new Date(now.getTime() - 2 * DAY_MS)
+    });
+    robot.save = jest.fn().mockResolvedValue(robot);
+  });
+
+  it('raises an alert once per condition', async () => {
+    const first = await evaluateRobot(robot, now);
+    const second = await evaluateRobot(robot, now);
+
+    expect(first).toEqual([expect.objectContaining({ type: 'maintenance_due', severity: 'high' })]);
+    expect(second).toEqual([]);
+    expect(robot.alerts).toHaveLength(1);
+  });
+
+  it('does not raise it again after it is acknowledged', async () => {
+    await evaluateRobot(robot, now);
+    robot.alerts[0].acknowledged = true;
+
+    expect(await evaluateRobot(robot, now)).toEqual([]);
+  });
+
+  it('does not raise it again once the alert is trimmed from the list', async () => {
+    await evaluateRobot(robot, now);
+    for (let i = 0; i < 50; i++) {
+      await robot.addAlert('error', `Error ${i}`);
+    }
+    expect(robot.alerts.some(alert => alert.type === 'maintenance_due')).toBe(false);
+
+    expect(await evaluateRobot(robot, now)).toEqual([]);
+  });
+
+  it('forgets conditions that have ended', async () => {
+    await evaluateRobot(robot, now);
+    expect(robot.alertConditions).toHaveLength(1);
+
+    robot.nextMaintenanceDate = new Date(now.getTime() + 60 * DAY_MS);
+    await evaluateRobot(robot, now);
+
+    expect(robot.alertConditions).toHaveLength(0);
+  });
+
+  it('leaves robots alone when nothing changed', async () => {
+    robot.nextMaintenanceDate = new Date(now.getTime() + 60 * DAY_MS);
+
+    expect(await evaluateRobot(robot, now)).toEqual([]);
+    expect(robot.save).not.toHaveBeenCalled();
+  });
+});
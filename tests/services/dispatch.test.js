@@ -0,0 +1,74 @@
+jest.mock('../../src/models/Inspection', () => ({ find: jest.fn(), findById: jest.fn(), bulkWrite: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findOne: jest.fn() }));
+
+const User = require('../../src/models/User');
+const Inspection = require('../../src/models/Inspection');
+const { dayRange, reassignInspection, setRouteOrder } = require('../../src/services/dispatch');
+
+describe('dispatch', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('dayRange', () => {
+    it('uses UTC midnight by default', () => {
+      const { start, end } = dayRange('2024-03-05');
+
+      expect(start.toISOString()).toBe('2024-03-05T00:00:00.000Z');
+      expect(end.toISOString()).toBe('2024-03-06T00:00:00.000Z');
+    });
+
+    it('uses local midnight in the given time zone', () => {
+      const { start, end } = dayRange('2024-01-15', 'America/New_York');
+
+      expect(start.toISOString()).toBe('2024-01-15T05:00:00.000Z');
+      expect(end.toISOString()).toBe('2024-01-16T05:00:00.000Z');
+    });
+
+    it('handles days with a DST change', () => {
+      const springForward = dayRange('2024-03-10', 'America/New_York');
+      const fallBack = dayRange('2024-11-03', 'America/New_York');
+
+      expect(springForward.start.toISOString()).toBe('2024-03-10T05:00:00.000Z');
+      expect(springForward.end.toISOString()).toBe('2024-03-11T04:00:00.000Z');
+      expect(fallBack.start.toISOString()).toBe('2024-11-03T04:00:00.000Z');
+      expect(fallBack.end.toISOString()).toBe('2024-11-04T05:00:00.000Z');
+    });
+
+    it('handles zones ahead of UTC', () => {
+      const { start } = dayRange('2024-06-01', 'Asia/Tokyo');
+
+      expect(start.toISOString()).toBe('2024-05-31T15:00:00.000Z');
+    });
+
+    it('rejects malformed dates and unknown time zones', () => {
+      expect(() => dayRange('2024-13-45')).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+      expect(() => dayRange('2024-01-15', 'Mars/Olympus')).toThrow(expect.objectContaining({ code: 'INVALID_TIMEZONE' }));
+    });
+  });
+
+  describe('technician lookup', () => {
+    const select = (value) => ({ select: () => Promise.resolve(value) });
+
+    it('only accepts active users with the technician role', async () => {
+      User.findOne.mockReturnValue(select(null));
+      Inspection.findById.mockResolvedValue({ status: 'scheduled' });
+
+      await expect(reassignInspection('inspection-1', { technicianId: 'admin-1' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'TECHNICIAN_NOT_FOUND' });
+      expect(User.findOne).toHaveBeenCalledWith({ _id: 'admin-1', role: 'technician', isActive: true });
+    });
+
+    it('looks up the day in the requested time zone when saving a route', async () => {
+      User.findOne.mockReturnValue(select({ _id: 'tech-1' }));
+      Inspection.find.mockReturnValue({ select: () => Promise.resolve([{ _id: 'a' }]) });
+
+      await setRouteOrder('tech-1', '2024-01-15', ['a'], 'America/New_York');
+
+      expect(Inspection.find).toHaveBeenCalledWith(expect.objectContaining({
+        date: { $gte: new Date('2024-01-15T05:00:00.000Z'), $lt: new Date('2024-01-16T05:00:00.000Z') }
+      }));
+      expect(Inspection.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: 'a' }, update: { $set: { routeOrder: 1 } } } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../../src/models/Inspection', () => ({}));
+jest.mock('../../src/models/Robot', () => ({}));
+jest.mock('../../src/models/Customer', () => ({}));
+
+const loadFileAccess = (env) => {
+  const saved = { FILE_URL_SECRET: process.env.FILE_URL_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+  Object.assign(process.env, env);
+  Object.keys(env).filter(key => env[key] === undefined).forEach(key => delete process.env[key]);
+
+  try {
+    let fileAccess;
+    jest.isolateModules(() => {
+      fileAccess = require('../../src/services/fileAccess');
+    });
+    return fileAccess;
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+};
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('file URL signing', () => {
+  const fileId = '64b000000000000000000001';
+
+  it('refuses to load without a signing secret', () => {
+    expect(() => loadFileAccess({ FILE_URL_SECRET: undefined, JWT_SECRET: undefined }))
+      .toThrow(/FILE_URL_SECRET or JWT_SECRET/);
+  });
+
+  it('accepts URLs it signed', () => {
+    const { signFileUrl, verifyFileSignature } = loadFileAccess({ FILE_URL_SECRET: 'test-secret' });
+    const { expires, signature } = queryOf(signFileUrl(fileId, { ttlSeconds: 60 }).url);
+
+    expect(verifyFileSignature(fileId, expires, signature)).toBe(true);
+  });
+
+  it('rejects URLs for another file, another key or past their expiry', () => {
+    const { signFileUrl, verifyFileSignature } = loadFileAccess({ FILE_URL_SECRET: 'test-secret' });
+    const other = loadFileAccess({ FILE_URL_SECRET: 'other-secret' });
+    const { expires, signature } = queryOf(signFileUrl(fileId, { ttlSeconds: 60 }).url);
+    const forged = queryOf(other.signFileUrl(fileId, { ttlSeconds: 60 }).url);
+
+    expect(verifyFileSignature('64b000000000000000000002', expires, signature)).toBe(false);
+    expect(verifyFileSignature(fileId, forged.expires, forged.signature)).toBe(false);
+    expect(verifyFileSignature(fileId, Math.floor(Date.now() / 1000) - 1, signature)).toBe(false);
+  });
+
+  it('caps the lifetime of signed URLs', () => {
+    const { signFileUrl, MAX_URL_TTL_SECONDS } = loadFileAccess({ FILE_URL_SECRET: 'test-secret' });
+    const { expiresAt } = signFileUrl(fileId, { ttlSeconds: MAX_URL_TTL_SECONDS * 10 });
+
+    expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + MAX_URL_TTL_SECONDS * 1000);
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const {
+  createZipCentroidProvider,
+  setGeocoder,
+  geocodeAddress,
+  withCoordinates
+} = require('../../src/services/geocoder');
+
+describe('geocoder', () => {
+  // Shared so the bundled table is only parsed once
+  const provider = createZipCentroidProvider();
+
+  describe('ZIP centroid provider', () => {
+    it('resolves a US address to its ZIP centroid from the bundled table', async () => {
+      await expect(provider.geocode({ zipCode: '10001' }))
+        .resolves.toEqual({ latitude: 40.7484, longitude: -73.9967, precision: 'zip' });
+      await expect(provider.geocode({ zipCode: '90210', country: 'USA' }))
+        .resolves.toEqual({ latitude: 34.0901, longitude: -118.4065, precision: 'zip' });
+    });
+
+    it('keeps leading zeros and ignores a ZIP+4 suffix and padding', async () => {
+      await expect(provider.geocode({ zipCode: ' 02134-1234 ', country: ' United States ' }))
+        .resolves.toEqual({ latitude: 42.3535, longitude: -71.1329, precision: 'zip' });
+    });
+
+    it('misses ZIP codes that are not in the table', async () => {
+      await expect(provider.geocode({ zipCode: '00000' })).resolves.toBeNull();
+    });
+
+    it('misses malformed ZIP codes', async () => {
+      await expect(provider.geocode({ zipCode: '2134' })).resolves.toBeNull();
+      await expect(provider.geocode({ zipCode: 'ABCDE' })).resolves.toBeNull();
+      await expect(provider.geocode({ zipCode: '' })).resolves.toBeNull();
+      await expect(provider.geocode({})).resolves.toBeNull();
+    });
+
+    it('does not resolve addresses outside the US', async () => {
+      await expect(provider.geocode({ zipCode: '10001', country: 'Germany' })).resolves.toBeNull();
+    });
+  });
+
+  describe('custom ZIP table', () => {
+    let dir;
+    let tablePath;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geocoder-'));
+      tablePath = path.join(dir, 'zips.csv');
+      fs.writeFileSync(tablePath, 'zip,latitude,longitude\n12345,42.8,-73.9\n54321,,\n');
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads the table it is given, once', async () => {
+      const readFileSync = jest.spyOn(fs, 'readFileSync');
+      const provider = createZipCentroidProvider({ tablePath });
+
+      await expect(provider.geocode({ zipCode: '12345' }))
+        .resolves.toEqual({ latitude: 42.8, longitude: -73.9, precision: 'zip' });
+      await expect(provider.geocode({ zipCode: '10001' })).resolves.toBeNull();
+      expect(readFileSync).toHaveBeenCalledTimes(1);
+
+      readFileSync.mockRestore();
+    });
+
+    it('treats a row without coordinates as unresolved', async () => {
+      setGeocoder(createZipCentroidProvider({ tablePath }));
+
+      await expect(geocodeAddress({ zipCode: '54321' })).resolves.toBeNull();
+    });
+  });
+
+  describe('geocodeAddress', () => {
+    afterEach(() => setGeocoder(null));
+
+    it('returns a GeoJSON point and how it was resolved', async () => {
+      setGeocoder(provider);
+
+      const result = await geocodeAddress({ zipCode: '10001' });
+
+      expect(result.coordinates).toEqual({ type: 'Point', coordinates: [-73.9967, 40.7484] });
+      expect(result.geocode).toMatchObject({ provider: 'local', precision: 'zip', geocodedAt: expect.any(Date) });
+    });
+
+    it('skips addresses without a ZIP code', async () => {
+      const geocode = jest.fn();
+      setGeocoder({ name: 'stub', geocode });
+
+      await expect(geocodeAddress({ street: '1 Main St' })).resolves.toBeNull();
+      expect(geocode).not.toHaveBeenCalled();
+    });
+
+    it('logs provider errors and resolves with null', async () => {
+      setGeocoder({ name: 'stub', geocode: jest.fn().mockRejectedValue(new Error('quota exceeded')) });
+
+      await expect(geocodeAddress({ zipCode: '10001' })).resolves.toBeNull();
+      expect(logger.error).toHaveBeenCalledWith('Geocoding failed with provider stub:', expect.any(Error));
+    });
+  });
+
+  describe('withCoordinates', () => {
+    afterEach(() => setGeocoder(null));
+
+    it('fills in coordinates for an address without them', async () => {
+      setGeocoder(provider);
+
+      const address = await withCoordinates({ street: '1 Main St', zipCode: '10001' });
+
+      expect(address).toMatchObject({ street: '1 Main St', coordinates: { coordinates: [-73.9967, 40.7484] } });
+    });
+
+    it('leaves addresses with coordinates or without a match unchanged', async () => {
+      setGeocoder(provider);
+      const located = { zipCode: '10001', coordinates: { type: 'Point', coordinates: [0, 0] } };
+      const unknown = { zipCode: '00000' };
+
+      await expect(withCoordinates(located)).resolves.toBe(located);
+      await expect(withCoordinates(unknown)).resolves.toBe(unknown);
+    });
+  });
+});
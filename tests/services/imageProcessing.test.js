@@ -0,0 +1,92 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const sharp = require('sharp');
+const { setStorage, PUBLIC_KEY_PREFIX } = require('../../src/services/storage');
+const { createMemoryStorage } = require('../../src/services/storage/memoryStorage');
+const { createS3Storage } = require('../../src/services/storage/s3Storage');
+const { MAX_PROCESS_BYTES, isProcessableImage, processImage } = require('../../src/services/imageProcessing');
+
+// A small JPEG with camera and GPS EXIF tags
+const photo = () => sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } })
+  .jpeg()
+  .withExifMerge({
+    IFD0: { Make: 'Canon', Model: 'EOS' },
+    IFD3: {
+      GPSLatitudeRef: 'S',
+      GPSLatitude: '33/1 52/1 0/1',
+      GPSLongitudeRef: 'E',
+      GPSLongitude: '151/1 12/1 30/1'
+    }
+  })
+  .toBuffer();
+
+describe('processImage', () => {
+  let storage;
+  let original;
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    setStorage('memory', storage);
+    original = await photo();
+    await storage.put('images/2025/01/01/site_1.jpg', original);
+  });
+
+  const upload = () => ({ storageBackend: 'memory', storageLocation: 'images/2025/01/01/site_1.jpg', size: original.length });
+
+  it('extracts camera and GPS metadata', async () => {
+    const { metadata } = await processImage(upload());
+
+    expect(metadata.dimensions).toEqual({ width: 800, height: 600 });
+    expect(metadata.location).toEqual({ latitude: -33.866667, longitude: 151.208333 });
+    expect(metadata.camera).toMatchObject({ make: 'Canon', model: 'EOS' });
+  });
+
+  it('strips EXIF data from the variants', async () => {
+    const { variants } = await processImage(upload());
+
+    for (const variant of Object.values(variants)) {
+      const info = await sharp(storage.objects.get(variant.storageLocation).buffer).metadata();
+      expect(info.exif).toBeUndefined();
+    }
+    expect(variants.thumbnail.width).toBeLessThanOrEqual(320);
+  });
+
+  it('keeps private variants next to the original', async () => {
+    const { variants } = await processImage(upload(), { isPublic: false });
+
+    expect(variants.web.storageLocation).toBe('images/2025/01/01/site_1_web.jpg');
+  });
+
+  it('publishes public variants under an unrelated key', async () => {
+    const { variants } = await processImage(upload(), { isPublic: true });
+
+    for (const variant of Object.values(variants)) {
+      expect(variant.storageLocation.startsWith(PUBLIC_KEY_PREFIX)).toBe(true);
+      expect(variant.storageLocation).not.toContain('site_1');
+    }
+  });
+});
+
+describe('large images', () => {
+  it('are not processed, so they are never read into memory', async () => {
+    const storage = createMemoryStorage();
+    setStorage('memory', storage);
+    jest.spyOn(storage, 'get');
+    const size = 2 * 1024 * 1024 * 1024;
+
+    expect(isProcessableImage('image/jpeg', size)).toBe(false);
+    expect(isProcessableImage('image/jpeg', MAX_PROCESS_BYTES)).toBe(true);
+    await expect(processImage({ storageBackend: 'memory', storageLocation: 'images/huge.jpg', size }))
+      .rejects.toThrow('not processed');
+    expect(storage.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('S3 public URLs', () => {
+  const s3 = createS3Storage({ bucket: 'media', prefix: 'app/', publicBaseUrl: 'https://cdn.example.com/', client: {} });
+
+  it('are only given for objects under the public prefix', () => {
+    expect(s3.publicUrl('app/public/images/abc_web.jpg')).toBe('https://cdn.example.com/app/public/images/abc_web.jpg');
+    expect(s3.publicUrl('app/images/2025/01/01/site_1.jpg')).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../src/models/Inspection', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Robot', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/WorkOrder', () => ({ hasOpenCritical: jest.fn() }));
+jest.mock('../../src/services/workOrders', () => ({ generateWorkOrders: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Inspection = require('../../src/models/Inspection');
+const Robot = require('../../src/models/Robot');
+const WorkOrder = require('../../src/models/WorkOrder');
+const { generateWorkOrders } = require('../../src/services/workOrders');
+const {
+  getAvailableTransitions,
+  applyTransition,
+  transitionInspection
+} = require('../../src/services/inspectionLifecycle');
+
+const id = () => new mongoose.Types.ObjectId();
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+describe('inspection status transitions', () => {
+  const technician = { _id: id(), role: 'technician' };
+  const admin = { _id: id(), role: 'admin' };
+  const inspection = (status) => ({ status, progress: 40, statusHistory: [] });
+
+  it('lists the transitions open to each role', () => {
+    expect(getAvailableTransitions('scheduled', technician)).toEqual(['in_progress', 'cancelled']);
+    expect(getAvailableTransitions('completed', technician)).toEqual([]);
+    expect(getAvailableTransitions('completed', admin)).toEqual(['in_progress']);
+    expect(getAvailableTransitions('unknown', admin)).toEqual([]);
+  });
+
+  it('applies a transition and records it in the history', () => {
+    const completed = applyTransition(inspection('in_progress'), 'completed', technician);
+
+    expect(completed.status).toBe('completed');
+    expect(completed.progress).toBe(100);
+    expect(completed.statusHistory).toEqual([
+      expect.objectContaining({ from: 'in_progress', to: 'completed', changedBy: technician._id })
+    ]);
+  });
+
+  it('rejects transitions that do not exist', () => {
+    expect(() => applyTransition(inspection('scheduled'), 'completed', admin))
+      .toThrow(expect.objectContaining({ statusCode: 409, code: 'INVALID_TRANSITION' }));
+  });
+
+  it('only lets admins reopen closed inspections', () => {
+    expect(() => applyTransition(inspection('completed'), 'in_progress', technician, 'Missed a step'))
+      .toThrow(expect.objectContaining({ statusCode: 403, code: 'TRANSITION_FORBIDDEN' }));
+    expect(applyTransition(inspection('completed'), 'in_progress', admin, 'Missed a step').status).toBe('in_progress');
+  });
+
+  it('requires a reason to cancel', () => {
+    const scheduled = inspection('scheduled');
+
+    expect(() => applyTransition(scheduled, 'cancelled', technician))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'TRANSITION_REASON_REQUIRED' }));
+    expect(scheduled.status).toBe('scheduled');
+    expect(scheduled.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('transitionInspection', () => {
+  const technician = { _id: id(), role: 'technician' };
+  let inspection;
+  let robot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn()
+    });
+
+    inspection = { _id: id(), robot: id(), status: 'in_progress', statusHistory: [], save: jest.fn() };
+    robot = {
+      _id: inspection.robot,
+      status: 'maintenance',
+      alerts: [{ type: 'maintenance_due' }, { type: 'error' }],
+      addInspection: jest.fn()
+    };
+    Inspection.findById.mockReturnValue(query(inspection));
+    Robot.findById.mockReturnValue(query(robot));
+    WorkOrder.hasOpenCritical.mockResolvedValue(false);
+  });
+
+  it('records a completed inspection against its robot', async () => {
+    await transitionInspection(inspection._id, 'completed', technician);
+
+    expect(inspection.save).toHaveBeenCalled();
+    expect(generateWorkOrders).toHaveBeenCalledWith(inspection, expect.anything());
+    expect(robot.alerts).toEqual([{ type: 'error' }]);
+    expect(robot).toMatchObject({ status: 'active', heldForWorkOrders: false });
+    expect(robot.addInspection).toHaveBeenCalledWith(inspection._id);
+  });
+
+  it('keeps the robot in maintenance while critical work is open', async () => {
+    WorkOrder.hasOpenCritical.mockResolvedValue(true);
+
+    await transitionInspection(inspection._id, 'completed', technician);
+
+    expect(robot).toMatchObject({ status: 'maintenance', heldForWorkOrders: true });
+  });
+
+  it('leaves the robot alone for other transitions', async () => {
+    await transitionInspection(inspection._id, 'cancelled', technician, 'Site closed');
+
+    expect(generateWorkOrders).not.toHaveBeenCalled();
+    expect(Robot.findById).not.toHaveBeenCalled();
+  });
+
+  it('fails for a missing inspection', async () => {
+    Inspection.findById.mockReturnValue(query(null));
+
+    await expect(transitionInspection(id(), 'completed', technician))
+      .rejects.toMatchObject({ statusCode: 404, code: 'INSPECTION_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/models/File', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/storage', () => ({ readFile: jest.fn() }));
+jest.mock('../../src/services/fileAccess', () => ({ canAccessFile: jest.fn() }));
+
+const File = require('../../src/models/File');
+const { readFile } = require('../../src/services/storage');
+const { canAccessFile } = require('../../src/services/fileAccess');
+const { loadImage } = require('../../src/services/inspectionReport');
+
+describe('loadImage', () => {
+  const fileId = '64b000000000000000000001';
+  const user = { _id: '64b0000000000000000000aa', role: 'technician' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn();
+  });
+
+  it('decodes data URLs', async () => {
+    const buffer = await loadImage(`data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+    expect(buffer.toString()).toBe('png');
+  });
+
+  it('reads uploaded files through their File record', async () => {
+    const file = { _id: fileId, storageBackend: 'memory', storageLocation: 'images/a.jpg' };
+    File.findById.mockResolvedValue(file);
+    canAccessFile.mockResolvedValue(true);
+    readFile.mockResolvedValue(Buffer.from('jpeg'));
+
+    const buffer = await loadImage(`https://api.example.com/api/v1/files/${fileId}/download`, user);
+
+    expect(File.findById).toHaveBeenCalledWith(fileId);
+    expect(canAccessFile).toHaveBeenCalledWith(user, file);
+    expect(readFile).toHaveBeenCalledWith(file);
+    expect(buffer.toString()).toBe('jpeg');
+  });
+
+  it('skips files the user cannot access', async () => {
+    File.findById.mockResolvedValue({ _id: fileId, storageBackend: 'memory', storageLocation: 'images/b.jpg' });
+    canAccessFile.mockResolvedValue(false);
+
+    expect(await loadImage(`/api/v1/files/${fileId}/download`, user)).toBeNull();
+    expect(readFile).not.toHaveBeenCalled();
+  });
+
+  it('does not read paths outside the upload directory', async () => {
+    expect(await loadImage('..%2F..%2F..%2F..%2Fetc%2Fpasswd')).toBeNull();
+    expect(await loadImage('/etc/passwd')).toBeNull();
+    expect(readFile).not.toHaveBeenCalled();
+  });
+
+  it('does not fetch arbitrary remote URLs', async () => {
+    expect(await loadImage('http://169.254.169.254/latest/meta-data/')).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../../src/models/PartsCatalog', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/StockLocation', () => ({ findOne: jest.fn(), findVan: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/StockMovement', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Inspection', () => ({ findById: jest.fn() }));
+
+const mongoose = require('mongoose');
+const PartsCatalog = require('../../src/models/PartsCatalog');
+const StockLocation = require('../../src/models/StockLocation');
+const StockMovement = require('../../src/models/StockMovement');
+const Inspection = require('../../src/models/Inspection');
+const { transferStock, consumeParts } = require('../../src/services/inventory');
+
+const id = () => new mongoose.Types.ObjectId();
+// Model queries are chained with .session() inside transactions
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+describe('inventory permissions', () => {
+  const technician = { _id: id(), role: 'technician' };
+  const admin = { _id: id(), role: 'admin' };
+  const partId = id();
+  const ownVan = { _id: id(), type: 'van', technician: technician._id };
+  const otherVan = { _id: id(), type: 'van', technician: id() };
+  const warehouse = { _id: id(), type: 'warehouse' };
+  const locations = [ownVan, otherVan, warehouse];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn()
+    });
+    PartsCatalog.findOne.mockReturnValue(query({ _id: partId }));
+    StockLocation.findOne.mockImplementation(({ _id }) => query(locations.find(location => location._id.equals(_id))));
+    StockLocation.updateOne.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    StockMovement.create.mockImplementation(async (docs) => docs.map(doc => ({ _id: id(), ...doc })));
+  });
+
+  const transfer = (fromLocationId, user) => transferStock({
+    partId,
+    fromLocationId,
+    toLocationId: warehouse._id,
+    quantity: 1
+  }, user);
+
+  it('lets technicians transfer out of their own van', async () => {
+    await expect(transfer(ownVan._id, technician)).resolves.toMatchObject({ type: 'transfer' });
+  });
+
+  it('stops technicians transferring out of other locations', async () => {
+    await expect(transfer(otherVan._id, technician)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(transferStock({ partId, fromLocationId: warehouse._id, toLocationId: ownVan._id, quantity: 1 }, technician))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(StockLocation.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('lets admins transfer from anywhere', async () => {
+    await expect(transfer(otherVan._id, admin)).resolves.toMatchObject({ type: 'transfer' });
+  });
+
+  describe('consumeParts', () => {
+    const inspectionFor = (technicianId) => {
+      const inspection = { _id: id(), technician: technicianId, status: 'in_progress', partsUsed: [], save: jest.fn() };
+      Inspection.findById.mockReturnValue(query(inspection));
+      return inspection;
+    };
+
+    it('rejects technicians not assigned to the inspection', async () => {
+      const inspection = inspectionFor(id());
+
+      await expect(consumeParts({ inspectionId: inspection._id, partId, quantity: 1 }, technician))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('rejects taking stock from another technician\'s van', async () => {
+      const inspection = inspectionFor(technician._id);
+
+      await expect(consumeParts({ inspectionId: inspection._id, partId, quantity: 1, locationId: otherVan._id }, technician))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('takes stock from the assigned technician\'s van', async () => {
+      const inspection = inspectionFor(technician._id);
+      StockLocation.findVan.mockReturnValue(query(ownVan));
+
+      await consumeParts({ inspectionId: inspection._id, partId, quantity: 2 }, technician);
+
+      expect(inspection.partsUsed).toEqual([expect.objectContaining({ quantity: 2, location: ownVan._id })]);
+      expect(inspection.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/models/Robot', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Inspection', () => ({ exists: jest.fn(), aggregate: jest.fn(), create: jest.fn() }));
+jest.mock('../../src/models/InspectionTemplate', () => ({ getCurrent: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const Inspection = require('../../src/models/Inspection');
+const User = require('../../src/models/User');
+const logger = require('../../src/utils/logger');
+const { scheduleUpcomingInspections } = require('../../src/services/maintenanceScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+describe('scheduleUpcomingInspections', () => {
+  const now = new Date('2026-03-01T08:00:00Z');
+  const busy = { _id: id(), name: 'Busy' };
+  const idle = { _id: id(), name: 'Idle' };
+  const customer = { _id: id(), isActive: true, assignedTechnicians: [busy._id, idle._id] };
+
+  let robots;
+  let openInspections;
+
+  const robot = (serialNumber, daysFromNow, fields = {}) => ({
+    _id: id(),
+    serialNumber,
+    status: 'active',
+    customerId: customer,
+    nextMaintenanceDate: new Date(now.getTime() + daysFromNow * DAY_MS),
+    getRobotType: async () => null,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    robots = [];
+    openInspections = [{ robot: id(), technician: busy._id }];
+
+    // Apply the scheduler's query to the robots in memory
+    Robot.find.mockImplementation((query) => ({
+      populate: async () => robots.filter(candidate =>
+        candidate.status !== query.status.$ne &&
+        candidate.nextMaintenanceDate <= query.nextMaintenanceDate.$lte)
+    }));
+    User.find.mockReturnValue({ select: async () => [busy, idle] });
+    Inspection.exists.mockImplementation(async ({ robot: robotId }) =>
+      openInspections.some(inspection => inspection.robot.equals(robotId)));
+    Inspection.aggregate.mockImplementation(async () => {
+      const counts = {};
+      openInspections.forEach(({ technician }) => {
+        counts[technician] = (counts[technician] || 0) + 1;
+      });
+      return Object.entries(counts).map(([technician, count]) => ({ _id: new mongoose.Types.ObjectId(technician), count }));
+    });
+    Inspection.create.mockImplementation(async (doc) => {
+      const inspection = { _id: id(), ...doc };
+      openInspections.push(inspection);
+      return inspection;
+    });
+  });
+
+  it('schedules robots due within the horizon and leaves later ones', async () => {
+    const overdue = robot('CR-1', -3);
+    const upcoming = robot('CR-2', 10);
+    robots = [overdue, upcoming, robot('CR-3', 20), robot('CR-4', 1, { status: 'retired' })];
+
+    const result = await scheduleUpcomingInspections({ now, horizonDays: 14 });
+
+    expect(result.horizon).toEqual(new Date(now.getTime() + 14 * DAY_MS));
+    expect(result.scanned).toBe(2);
+    expect(result.created.map(created => created.serialNumber)).toEqual(['CR-1', 'CR-2']);
+    // Overdue robots are booked for now rather than in the past
+    expect(result.created[0].date).toEqual(now);
+    expect(result.created[1].date).toEqual(upcoming.nextMaintenanceDate);
+  });
+
+  it('does not schedule a robot twice across runs', async () => {
+    robots = [robot('CR-1', 2)];
+
+    const first = await scheduleUpcomingInspections({ now });
+    const second = await scheduleUpcomingInspections({ now: new Date(now.getTime() + DAY_MS) });
+
+    expect(first.created).toHaveLength(1);
+    expect(second.created).toHaveLength(0);
+    expect(second.skipped).toEqual([
+      expect.objectContaining({ serialNumber: 'CR-1', reason: 'open inspection already exists' })
+    ]);
+    expect(Inspection.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats a duplicate key from a concurrent run as already scheduled', async () => {
+    robots = [robot('CR-1', 2)];
+    Inspection.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const result = await scheduleUpcomingInspections({ now });
+
+    expect(result.created).toHaveLength(0);
+    expect(result.skipped[0].reason).toBe('open inspection already exists');
+  });
+
+  it('records a failing robot as skipped and carries on with the rest', async () => {
+    robots = [robot('CR-1', 2), robot('CR-2', 3)];
+    Inspection.create.mockRejectedValueOnce(new Error('write conflict'));
+
+    const result = await scheduleUpcomingInspections({ now });
+
+    expect(result.skipped).toEqual([
+      expect.objectContaining({ serialNumber: 'CR-1', reason: 'error: write conflict' })
+    ]);
+    expect(result.created.map(created => created.serialNumber)).toEqual(['CR-2']);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+
+  it('assigns the technician with the fewest open inspections using one count', async () => {
+    robots = [robot('CR-1', 2), robot('CR-2', 3)];
+
+    const result = await scheduleUpcomingInspections({ now });
+
+    // The idle technician takes the first robot, then both have one open inspection
+    expect(result.created.map(created => created.technician)).toEqual([idle._id, busy._id]);
+    expect(Inspection.aggregate).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips customers without an active technician', async () => {
+    robots = [robot('CR-1', 2)];
+    User.find.mockReturnValue({ select: async () => [] });
+
+    const result = await scheduleUpcomingInspections({ now });
+
+    expect(result.skipped[0].reason).toBe('no active technician assigned to customer');
+    expect(Inspection.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('creates nothing on a dry run', async () => {
+    robots = [robot('CR-1', 2)];
+
+    const result = await scheduleUpcomingInspections({ now, dryRun: true });
+
+    expect(result.created).toEqual([expect.objectContaining({ serialNumber: 'CR-1', inspection: null, technician: idle._id })]);
+    expect(Inspection.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../../src/models/Robot', () => ({ find: jest.fn(), insertMany: jest.fn() }));
+jest.mock('../../src/models/Customer', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Robot = require('../../src/models/Robot');
+const Customer = require('../../src/models/Customer');
+const { importRobots } = require('../../src/services/robotImport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const csv = (...rows) => ({
+  originalname: 'robots.csv',
+  mimetype: 'text/csv',
+  buffer: Buffer.from(['serialNumber,model,type,installationDate,nextMaintenanceDate', ...rows].join('\n'))
+});
+
+describe('importRobots', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), serviceAgreement: { maintenanceFrequency: 90 } };
+  const now = new Date('2026-03-01T00:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn()
+    });
+    Customer.findById.mockResolvedValue(customer);
+    Robot.find.mockReturnValue({ select: async () => [] });
+    Robot.insertMany.mockImplementation(async (docs) => docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc })));
+  });
+
+  const imported = async (file) => {
+    await importRobots(file, customer._id, { now });
+    return Robot.insertMany.mock.calls[0][0];
+  };
+
+  it('schedules robots installed long ago at their next interval after the import', async () => {
+    const [robot] = await imported(csv('CR-1,CR-200,delivery,2024-01-10,'));
+
+    const installedAt = new Date('2024-01-10').getTime();
+    expect(robot.nextMaintenanceDate.getTime()).toBeGreaterThanOrEqual(now.getTime());
+    expect(robot.nextMaintenanceDate.getTime() - now.getTime()).toBeLessThan(90 * DAY_MS);
+    expect((robot.nextMaintenanceDate.getTime() - installedAt) % (90 * DAY_MS)).toBe(0);
+  });
+
+  it('waits a full interval for robots installed recently or in the future', async () => {
+    const [recent, upcoming] = await imported(csv(
+      'CR-1,CR-200,delivery,2026-02-20,',
+      'CR-2,CR-200,delivery,2026-04-01,'
+    ));
+
+    expect(recent.nextMaintenanceDate).toEqual(new Date(new Date('2026-02-20').getTime() + 90 * DAY_MS));
+    expect(upcoming.nextMaintenanceDate).toEqual(new Date(new Date('2026-04-01').getTime() + 90 * DAY_MS));
+  });
+
+  it('uses the next maintenance date given in the file', async () => {
+    const [robot] = await imported(csv('CR-1,CR-200,delivery,2024-01-10,2026-03-15'));
+
+    expect(robot.nextMaintenanceDate).toEqual(new Date('2026-03-15'));
+  });
+
+  it('reports an invalid next maintenance date', async () => {
+    const result = await importRobots(csv('CR-1,CR-200,delivery,2024-01-10,soon'), customer._id, { now });
+
+    expect(result.errors).toEqual([expect.objectContaining({ row: 2, field: 'nextMaintenanceDate' })]);
+    expect(Robot.insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  routeLength,
+  nearestNeighbour,
+  twoOpt,
+  optimizeRoute,
+  describeRoute,
+  travelMinutes
+} = require('../../src/services/routePlanner');
+
+// Stops along the equator, roughly 111 km per degree of longitude
+const at = (longitude) => ({ latitude: 0, longitude });
+
+describe('route planner', () => {
+  describe('nearestNeighbour', () => {
+    it('visits the closest remaining stop each time', () => {
+      const points = [at(3), at(1), at(2), at(0)];
+
+      expect(nearestNeighbour(points, at(-1))).toEqual([3, 1, 2, 0]);
+    });
+
+    it('starts from the first stop when no start is given', () => {
+      const points = [at(2), at(5), at(1)];
+
+      expect(nearestNeighbour(points)).toEqual([0, 2, 1]);
+    });
+
+    it('returns an empty order for no stops', () => {
+      expect(nearestNeighbour([], at(0))).toEqual([]);
+    });
+  });
+
+  describe('twoOpt', () => {
+    it('untangles a route that doubles back', () => {
+      const points = [at(1), at(2), at(3), at(4)];
+      const tangled = [0, 2, 1, 3];
+
+      const improved = twoOpt(tangled, points, at(0));
+
+      expect(improved).toEqual([0, 1, 2, 3]);
+      expect(routeLength(improved, points, at(0))).toBeLessThan(routeLength(tangled, points, at(0)));
+    });
+
+    it('leaves an optimal route alone and does not modify its input', () => {
+      const order = [0, 1, 2];
+      const points = [at(1), at(2), at(3)];
+
+      expect(twoOpt(order, points, at(0))).toEqual([0, 1, 2]);
+      expect(order).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe('optimizeRoute', () => {
+    it('returns the trivial order for fewer than two stops', () => {
+      expect(optimizeRoute([], at(0))).toEqual([]);
+      expect(optimizeRoute([at(1)], at(0))).toEqual([0]);
+    });
+
+    it('visits every stop exactly once', () => {
+      const points = [at(4), at(-2), at(1), at(3), at(-1)];
+      const order = optimizeRoute(points, at(0));
+
+      expect(order.slice().sort()).toEqual([0, 1, 2, 3, 4]);
+    });
+  });
+
+  describe('describeRoute', () => {
+    it('reports distance and travel time per leg and in total', () => {
+      const points = [at(1), at(2)];
+      const route = describeRoute([0, 1], points, at(0));
+
+      expect(route.legs).toHaveLength(2);
+      expect(route.legs[0]).toEqual({ index: 0, distanceKm: 111.19, travelMinutes: travelMinutes(111.19) });
+      expect(route.legs[1].index).toBe(1);
+      expect(route.totalDistanceKm).toBeCloseTo(222.39, 2);
+      expect(route.totalTravelMinutes).toBe(route.legs[0].travelMinutes + route.legs[1].travelMinutes);
+    });
+
+    it('counts no distance to the first stop without a start', () => {
+      const route = describeRoute([1, 0], [at(1), at(2)]);
+
+      expect(route.legs[0]).toEqual({ index: 1, distanceKm: 0, travelMinutes: 0 });
+      expect(route.totalDistanceKm).toBe(route.legs[1].distanceKm);
+    });
+
+    it('describes an empty route', () => {
+      expect(describeRoute([], [], at(0))).toEqual({ legs: [], totalDistanceKm: 0, totalTravelMinutes: 0 });
+    });
+  });
+});
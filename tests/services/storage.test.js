@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createLocalStorage } = require('../../src/services/storage/localStorage');
+const { createMemoryStorage } = require('../../src/services/storage/memoryStorage');
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('local storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalStorage({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores buffers and streams under the upload directory', async () => {
+    const { storageLocation } = await storage.put('images/2024/photo.jpg', Buffer.from('photo'));
+    await storage.put('documents/report.pdf', Readable.from(['re', 'port']));
+
+    expect(storageLocation).toBe(path.join(root, 'images/2024/photo.jpg'));
+    expect(await read(await storage.get(storageLocation))).toBe('photo');
+    expect(await read(await storage.get(path.join(root, 'documents/report.pdf')))).toBe('report');
+    expect(await storage.exists(storageLocation)).toBe(true);
+  });
+
+  it('maps storage locations back to backend-independent keys', async () => {
+    const { storageLocation } = await storage.put('images/2024/photo.jpg', Buffer.from('photo'));
+
+    expect(storage.toKey(storageLocation)).toBe('images/2024/photo.jpg');
+  });
+
+  it('deletes files and ignores ones already gone', async () => {
+    const { storageLocation } = await storage.put('photo.jpg', Buffer.from('photo'));
+
+    await storage.delete(storageLocation);
+    await expect(storage.delete(storageLocation)).resolves.toBeUndefined();
+
+    expect(await storage.get(storageLocation)).toBeNull();
+    expect(await storage.exists(storageLocation)).toBe(false);
+  });
+
+  it('refuses locations outside the upload directory', async () => {
+    const outside = path.join(root, '..', 'secrets.txt');
+
+    await expect(storage.get(outside)).rejects.toThrow('outside the upload directory');
+    await expect(storage.delete(outside)).rejects.toThrow('outside the upload directory');
+    expect(() => storage.toKey(outside)).toThrow('outside the upload directory');
+  });
+
+  it('removes the partial file when the source stream fails', async () => {
+    async function* failing() {
+      yield Buffer.from('partial');
+      throw new Error('connection reset');
+    }
+
+    await expect(storage.put('broken.bin', Readable.from(failing()))).rejects.toThrow('connection reset');
+    expect(fs.existsSync(path.join(root, 'broken.bin'))).toBe(false);
+  });
+
+  it('has no public URLs', () => {
+    expect(storage.publicUrl(path.join(root, 'public/photo.jpg'))).toBeNull();
+  });
+});
+
+describe('memory storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+  });
+
+  it('stores buffers and streams by key', async () => {
+    const { storageLocation } = await storage.put('images/photo.jpg', Buffer.from('photo'), { contentType: 'image/jpeg' });
+    await storage.put('documents/report.pdf', Readable.from(['re', 'port']));
+
+    expect(storageLocation).toBe('images/photo.jpg');
+    expect(storage.toKey(storageLocation)).toBe('images/photo.jpg');
+    expect(await read(await storage.get(storageLocation))).toBe('photo');
+    expect(await read(await storage.get('documents/report.pdf'))).toBe('report');
+    expect(storage.objects.get(storageLocation).contentType).toBe('image/jpeg');
+  });
+
+  it('deletes objects and ignores missing ones', async () => {
+    await storage.put('photo.jpg', Buffer.from('photo'));
+
+    await storage.delete('photo.jpg');
+    await storage.delete('photo.jpg');
+
+    expect(await storage.get('photo.jpg')).toBeNull();
+    expect(await storage.exists('photo.jpg')).toBe(false);
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../src/models/File', () => ({ findById: jest.fn(), create: jest.fn() }));
+jest.mock('../../src/models/UploadSession', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/services/fileRecords', () => ({
+  resolveRelated: jest.fn(),
+  buildFileRecord: jest.fn(async (req, upload) => ({ ...upload })),
+  discardUpload: jest.fn()
+}));
+jest.mock('../../src/middleware/upload', () => ({ isAllowedType: () => true }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const File = require('../../src/models/File');
+const UploadSession = require('../../src/models/UploadSession');
+const { discardUpload } = require('../../src/services/fileRecords');
+const { setStorage } = require('../../src/services/storage');
+const { createMemoryStorage } = require('../../src/services/storage/memoryStorage');
+const { appendChunk, completeSession } = require('../../src/services/uploadSessions');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('resumable uploads', () => {
+  const content = Buffer.from('hello resumable world');
+  const req = { user: { _id: new mongoose.Types.ObjectId() } };
+  let storage;
+  let session;
+
+  const upload = (offset, bytes) => appendChunk(session, {
+    offset,
+    length: bytes.length,
+    body: Readable.from([bytes])
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.STORAGE_BACKEND = 'memory';
+    storage = createMemoryStorage();
+    setStorage('memory', storage);
+
+    session = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'uploading',
+      originalName: 'log.txt',
+      mimeType: 'text/plain',
+      size: content.length,
+      checksum: sha256(content),
+      storageBackend: 'memory',
+      receivedBytes: 0,
+      chunks: [],
+      get isFullyReceived() {
+        return this.receivedBytes === this.size;
+      },
+      save: jest.fn(),
+      deleteOne: jest.fn()
+    };
+
+    // Apply chunk updates to the in-memory session when the filter matches
+    UploadSession.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      if (filter.status !== session.status) return null;
+      if ('receivedBytes' in filter && filter.receivedBytes !== session.receivedBytes) return null;
+      if (update.$push) {
+        session.chunks.push(update.$push.chunks);
+        session.receivedBytes += update.$inc.receivedBytes;
+      }
+      Object.assign(session, update.$set);
+      return session;
+    });
+    File.create.mockImplementation(async (record) => ({ _id: new mongoose.Types.ObjectId(), ...record }));
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_BACKEND;
+  });
+
+  describe('appendChunk', () => {
+    it('only accepts the chunk at the current offset', async () => {
+      await upload(0, content.subarray(0, 5));
+
+      await expect(upload(0, content.subarray(0, 5))).rejects.toMatchObject({ statusCode: 409, code: 'OFFSET_MISMATCH' });
+      await expect(upload(10, content.subarray(10))).rejects.toMatchObject({ statusCode: 409, code: 'OFFSET_MISMATCH' });
+      expect(session.receivedBytes).toBe(5);
+      expect(storage.objects.size).toBe(1);
+    });
+
+    it('discards a chunk shorter than announced', async () => {
+      await expect(appendChunk(session, { offset: 0, length: 10, body: Readable.from([Buffer.from('short')]) }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INCOMPLETE_CHUNK' });
+      expect(storage.objects.size).toBe(0);
+      expect(session.receivedBytes).toBe(0);
+    });
+  });
+
+  describe('completeSession', () => {
+    it('assembles the chunks into a file once the checksum matches', async () => {
+      await upload(0, content.subarray(0, 8));
+      await upload(8, content.subarray(8));
+
+      const file = await completeSession(req, session);
+
+      expect(file.checksum).toBe(session.checksum);
+      expect(file.size).toBe(content.length);
+      const stored = [...storage.objects.values()];
+      expect(stored).toHaveLength(1);
+      expect(stored[0].buffer.equals(content)).toBe(true);
+      expect(session).toMatchObject({ status: 'completed', file: file._id, chunks: [] });
+    });
+
+    it('discards the upload when the checksum does not match', async () => {
+      session.checksum = sha256('something else');
+      await upload(0, content);
+
+      await expect(completeSession(req, session)).rejects.toMatchObject({ statusCode: 422, code: 'CHECKSUM_MISMATCH' });
+
+      expect(discardUpload).toHaveBeenCalledWith(expect.objectContaining({ checksum: sha256(content) }));
+      expect(session.deleteOne).toHaveBeenCalled();
+      expect(File.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to complete before every byte has arrived', async () => {
+      await upload(0, content.subarray(0, 8));
+
+      await expect(completeSession(req, session)).rejects.toMatchObject({ statusCode: 409, code: 'UPLOAD_INCOMPLETE' });
+    });
+
+    it('returns the same file when completed again', async () => {
+      const file = { _id: new mongoose.Types.ObjectId() };
+      Object.assign(session, { status: 'completed', file: file._id });
+      File.findById.mockResolvedValue(file);
+
+      await expect(completeSession(req, session)).resolves.toBe(file);
+    });
+
+    it('answers 404 once the completed file has been deleted', async () => {
+      Object.assign(session, { status: 'completed', file: new mongoose.Types.ObjectId() });
+      File.findById.mockResolvedValue(null);
+
+      await expect(completeSession(req, session)).rejects.toMatchObject({ statusCode: 404, code: 'FILE_NOT_FOUND' });
+    });
+  });
+});
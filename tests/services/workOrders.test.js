@@ -0,0 +1,162 @@
+jest.mock('../../src/models/WorkOrder', () => ({ find: jest.fn(), findById: jest.fn(), insertMany: jest.fn(), hasOpenCritical: jest.fn() }));
+jest.mock('../../src/models/Robot', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/Inspection', () => ({ findById: jest.fn() }));
+
+const mongoose = require('mongoose');
+const WorkOrder = require('../../src/models/WorkOrder');
+const Robot = require('../../src/models/Robot');
+const { generateWorkOrders, syncRobotStatus, transitionWorkOrder } = require('../../src/services/workOrders');
+
+const id = () => new mongoose.Types.ObjectId();
+const query = (value) => ({ session: () => Promise.resolve(value) });
+
+describe('work orders', () => {
+  const technician = { _id: id(), role: 'technician' };
+  const admin = { _id: id(), role: 'admin' };
+  let robot;
+  let workOrder;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn()
+    });
+
+    robot = { _id: id(), status: 'active', heldForWorkOrders: false, save: jest.fn() };
+    workOrder = {
+      _id: id(),
+      robot: robot._id,
+      status: 'in_progress',
+      priority: 'critical',
+      assignee: technician._id,
+      statusHistory: [],
+      save: jest.fn()
+    };
+    Robot.findById.mockReturnValue(query(robot));
+    WorkOrder.findById.mockReturnValue(query(workOrder));
+    WorkOrder.hasOpenCritical.mockResolvedValue(false);
+  });
+
+  describe('syncRobotStatus', () => {
+    it('holds a robot in maintenance while critical work is open and releases it after', async () => {
+      WorkOrder.hasOpenCritical.mockResolvedValue(true);
+      await syncRobotStatus(robot._id);
+      expect(robot).toMatchObject({ status: 'maintenance', heldForWorkOrders: true });
+
+      WorkOrder.hasOpenCritical.mockResolvedValue(false);
+      await syncRobotStatus(robot._id);
+      expect(robot).toMatchObject({ status: 'active', heldForWorkOrders: false });
+    });
+
+    it('leaves a maintenance status set by hand in place', async () => {
+      robot.status = 'maintenance';
+
+      WorkOrder.hasOpenCritical.mockResolvedValue(true);
+      await syncRobotStatus(robot._id);
+      WorkOrder.hasOpenCritical.mockResolvedValue(false);
+      await syncRobotStatus(robot._id);
+
+      expect(robot).toMatchObject({ status: 'maintenance', heldForWorkOrders: false });
+      expect(robot.save).not.toHaveBeenCalled();
+    });
+
+    it('never touches retired robots', async () => {
+      robot.status = 'retired';
+      WorkOrder.hasOpenCritical.mockResolvedValue(true);
+
+      await syncRobotStatus(robot._id);
+
+      expect(robot.status).toBe('retired');
+    });
+  });
+
+  describe('transitionWorkOrder', () => {
+    it('completes a work order and releases the robot it held', async () => {
+      Object.assign(robot, { status: 'maintenance', heldForWorkOrders: true });
+
+      await transitionWorkOrder(workOrder._id, 'completed', technician, { resolution: 'Replaced charger' });
+
+      expect(workOrder).toMatchObject({ status: 'completed', resolution: 'Replaced charger' });
+      expect(workOrder.statusHistory).toEqual([
+        expect.objectContaining({ from: 'in_progress', to: 'completed', changedBy: technician._id })
+      ]);
+      expect(robot.status).toBe('active');
+    });
+
+    it('rejects transitions that do not exist', async () => {
+      workOrder.status = 'completed';
+
+      await expect(transitionWorkOrder(workOrder._id, 'in_progress', admin))
+        .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_TRANSITION' });
+    });
+
+    it('only lets admins cancel, with a reason', async () => {
+      await expect(transitionWorkOrder(workOrder._id, 'cancelled', technician, { reason: 'Duplicate' }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'TRANSITION_FORBIDDEN' });
+      await expect(transitionWorkOrder(workOrder._id, 'cancelled', admin))
+        .rejects.toMatchObject({ statusCode: 400, code: 'TRANSITION_REASON_REQUIRED' });
+      expect(workOrder.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps technicians to their own work orders', async () => {
+      workOrder.assignee = id();
+
+      await expect(transitionWorkOrder(workOrder._id, 'completed', technician))
+        .rejects.toMatchObject({ statusCode: 403, code: 'WORK_ORDER_NOT_ASSIGNED' });
+    });
+
+    it('assigns an unassigned work order to whoever starts it', async () => {
+      Object.assign(workOrder, { status: 'open', assignee: undefined });
+
+      await transitionWorkOrder(workOrder._id, 'in_progress', technician);
+
+      expect(workOrder.assignee).toBe(technician._id);
+    });
+  });
+
+  describe('generateWorkOrders', () => {
+    const inspection = () => ({
+      _id: id(),
+      robot: robot._id,
+      technician: technician._id,
+      maintenanceItems: [
+        { _id: id(), item: 'Check battery', status: 'failed', notes: 'Left pack' },
+        { _id: id(), item: 'Check battery', status: 'failed', notes: 'Right pack' },
+        { _id: id(), item: 'Clean sensors', status: 'completed' }
+      ],
+      checklist: { chargingCheck: { status: 'fail' } }
+    });
+
+    beforeEach(() => {
+      WorkOrder.insertMany.mockImplementation(async (docs) => docs);
+    });
+
+    it('creates one work order per failed item, even when items share a name', async () => {
+      const completed = inspection();
+      WorkOrder.find.mockReturnValue({ select: () => query([]) });
+
+      const created = await generateWorkOrders(completed);
+
+      const sourceItems = created.map(workOrder => workOrder.sourceItem);
+      expect(sourceItems).toEqual([
+        `maintenanceItems.${completed.maintenanceItems[0]._id}`,
+        `maintenanceItems.${completed.maintenanceItems[1]._id}`,
+        'checklist.chargingCheck'
+      ]);
+      expect(new Set(sourceItems).size).toBe(sourceItems.length);
+    });
+
+    it('skips items that already have a work order', async () => {
+      const completed = inspection();
+      WorkOrder.find.mockReturnValue({
+        select: () => query([{ sourceItem: `maintenanceItems.${completed.maintenanceItems[0]._id}` }])
+      });
+
+      const created = await generateWorkOrders(completed);
+
+      expect(created.map(workOrder => workOrder.description)).toEqual(['Right pack', undefined]);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { haversineKm, toPoint, toGeoPoint, nearPipeline } = require('../../src/utils/geo');
+
+describe('geo', () => {
+  describe('haversineKm', () => {
+    it('measures great-circle distance', () => {
+      expect(haversineKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(111.19, 2);
+      expect(haversineKm({ latitude: 40.7484, longitude: -73.9967 }, { latitude: 40.7484, longitude: -73.9967 })).toBe(0);
+    });
+  });
+
+  describe('toPoint and toGeoPoint', () => {
+    it('convert between GeoJSON and { latitude, longitude }', () => {
+      const point = { type: 'Point', coordinates: [-73.9967, 40.7484] };
+
+      expect(toPoint(point)).toEqual({ latitude: 40.7484, longitude: -73.9967 });
+      expect(toGeoPoint({ latitude: 40.7484, longitude: -73.9967 })).toEqual(point);
+      expect(toGeoPoint(point)).toEqual(point);
+    });
+
+    it('reject missing and out-of-range positions', () => {
+      expect(toPoint(null)).toBeNull();
+      expect(toPoint({ type: 'Point', coordinates: [0, 95] })).toBeNull();
+      expect(toGeoPoint(undefined)).toBeUndefined();
+      expect(toGeoPoint({ latitude: '40', longitude: -73 })).toBeUndefined();
+      expect(toGeoPoint({ latitude: 0, longitude: 181 })).toBeUndefined();
+    });
+  });
+
+  describe('nearPipeline', () => {
+    it('starts with a $geoNear on the key, in metres, and reports kilometres', () => {
+      const query = { status: { $ne: 'retired' } };
+
+      const [geoNear, limit, round] = nearPipeline({
+        latitude: 40.7484,
+        longitude: -73.9967,
+        radiusKm: 25,
+        key: 'location.coordinates',
+        query,
+        limit: 10
+      });
+
+      expect(geoNear).toEqual({
+        $geoNear: {
+          near: { type: 'Point', coordinates: [-73.9967, 40.7484] },
+          key: 'location.coordinates',
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: 25000,
+          spherical: true,
+          query
+        }
+      });
+      expect(limit).toEqual({ $limit: 10 });
+      expect(round).toEqual({ $set: { distanceKm: { $round: ['$distanceKm', 3] } } });
+    });
+
+    it('matches everything within the radius when no query is given', () => {
+      const [{ $geoNear }] = nearPipeline({ latitude: 0, longitude: 0, radiusKm: 1.5, key: 'k', limit: 5 });
+
+      expect($geoNear.query).toEqual({});
+      expect($geoNear.maxDistance).toBe(1500);
+    });
+  });
+});